@@ -0,0 +1,472 @@
+// ====== RHYTHM BEAT LOCAL AUDIO ANALYZER ======
+// Fallback for tracks the Spotify audio-analysis endpoint can't describe (local files,
+// podcasts, network failures). Decodes a user-chosen audio file, renders it to mono
+// with an OfflineAudioContext and runs onset detection, tempo estimation, beat tracking
+// and loudness segmentation. The result has the same beats/bars/tatums/segments/sections/
+// track shape as the Spotify analysis, so RhythmChartEngine.generateChart consumes it as is.
+//
+// analyzeSamples() is plain math on a Float32Array and also runs in Node:
+//
+//   const RhythmAudioAnalyzer = require('./audio-analyzer.js');
+//   const analysis = RhythmAudioAnalyzer.analyzeSamples(monoSamples, 22050);
+var RhythmAudioAnalyzer = (() => {
+    const ANALYZER_VERSION = 1;
+
+    // Analysis runs on a mono 22.05 kHz render - plenty for onsets and keeps the FFTs cheap
+    const ANALYSIS_SAMPLE_RATE = 22050;
+    const FRAME_SIZE = 1024;
+    const HOP_SIZE = 512;
+
+    const MIN_TEMPO = 60;
+    const MAX_TEMPO = 200;
+    const PREFERRED_TEMPO = 120; // Center of the tempo prior, in BPM
+    const BEAT_TIGHTNESS = 100; // How strongly beat tracking sticks to the global tempo
+    const MIN_ONSET_GAP = 0.05; // Seconds
+    const MAX_SEGMENT_DURATION = 0.5; // Long gaps between onsets are split into several segments
+    const MIN_SECTION_DURATION = 8; // Seconds
+    const SECTION_LOUDNESS_CHANGE = 3; // dB difference that starts a new section
+    const TIMBRE_BANDS = 12;
+
+    // ====== SPECTRUM ======
+    // In-place iterative radix-2 FFT
+    function fft(re, im) {
+        const n = re.length;
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                [re[i], re[j]] = [re[j], re[i]];
+                [im[i], im[j]] = [im[j], im[i]];
+            }
+        }
+        for (let size = 2; size <= n; size <<= 1) {
+            const angle = -2 * Math.PI / size;
+            const wRe = Math.cos(angle);
+            const wIm = Math.sin(angle);
+            for (let start = 0; start < n; start += size) {
+                let curRe = 1, curIm = 0;
+                for (let k = 0; k < size / 2; k++) {
+                    const a = start + k;
+                    const b = a + size / 2;
+                    const tRe = re[b] * curRe - im[b] * curIm;
+                    const tIm = re[b] * curIm + im[b] * curRe;
+                    re[b] = re[a] - tRe;
+                    im[b] = im[a] - tIm;
+                    re[a] += tRe;
+                    im[a] += tIm;
+                    const nextRe = curRe * wRe - curIm * wIm;
+                    curIm = curRe * wIm + curIm * wRe;
+                    curRe = nextRe;
+                }
+            }
+        }
+    }
+
+    function toDb(power) {
+        return 10 * Math.log10(power + 1e-10);
+    }
+
+    // Per-frame loudness, spectral flux, chroma and band energies
+    function computeFrames(samples, sampleRate) {
+        const frameCount = Math.max(0, Math.floor((samples.length - FRAME_SIZE) / HOP_SIZE) + 1);
+        const bins = FRAME_SIZE / 2 + 1;
+        const hann = new Float64Array(FRAME_SIZE);
+        for (let i = 0; i < FRAME_SIZE; i++) hann[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (FRAME_SIZE - 1));
+
+        // Map FFT bins onto pitch classes and log-spaced timbre bands
+        const binPitch = new Int8Array(bins).fill(-1);
+        const binBand = new Int8Array(bins).fill(-1);
+        const bandEdges = [];
+        for (let b = 0; b <= TIMBRE_BANDS; b++) bandEdges.push(40 * Math.pow((sampleRate / 2) / 40, b / TIMBRE_BANDS));
+        for (let k = 1; k < bins; k++) {
+            const freq = k * sampleRate / FRAME_SIZE;
+            if (freq >= 55 && freq <= 5000) binPitch[k] = ((Math.round(12 * Math.log2(freq / 440)) + 69) % 12 + 12) % 12;
+            for (let b = 0; b < TIMBRE_BANDS; b++) {
+                if (freq >= bandEdges[b] && freq < bandEdges[b + 1]) { binBand[k] = b; break; }
+            }
+        }
+
+        const loudness = new Float64Array(frameCount);
+        const flux = new Float64Array(frameCount);
+        const lowFlux = new Float64Array(frameCount);
+        const chroma = [];
+        const bands = [];
+        const re = new Float64Array(FRAME_SIZE);
+        const im = new Float64Array(FRAME_SIZE);
+        let prevLog = new Float64Array(bins);
+        const lowBandLimit = Math.ceil(150 * FRAME_SIZE / sampleRate);
+
+        for (let f = 0; f < frameCount; f++) {
+            const offset = f * HOP_SIZE;
+            let power = 0;
+            for (let i = 0; i < FRAME_SIZE; i++) {
+                const s = samples[offset + i];
+                power += s * s;
+                re[i] = s * hann[i];
+                im[i] = 0;
+            }
+            loudness[f] = toDb(power / FRAME_SIZE);
+            fft(re, im);
+
+            const logMag = new Float64Array(bins);
+            const frameChroma = new Array(12).fill(0);
+            const frameBands = new Array(TIMBRE_BANDS).fill(0);
+            let frameFlux = 0, frameLowFlux = 0;
+            for (let k = 0; k < bins; k++) {
+                const magSq = re[k] * re[k] + im[k] * im[k];
+                logMag[k] = Math.log1p(Math.sqrt(magSq));
+                const rise = logMag[k] - prevLog[k];
+                if (rise > 0) {
+                    frameFlux += rise;
+                    if (k <= lowBandLimit) frameLowFlux += rise;
+                }
+                if (binPitch[k] >= 0) frameChroma[binPitch[k]] += magSq;
+                if (binBand[k] >= 0) frameBands[binBand[k]] += magSq;
+            }
+            flux[f] = f === 0 ? 0 : frameFlux;
+            lowFlux[f] = f === 0 ? 0 : frameLowFlux;
+            chroma.push(frameChroma);
+            bands.push(frameBands);
+            prevLog = logMag;
+        }
+
+        return { frameCount, loudness, flux, lowFlux, chroma, bands };
+    }
+
+    // ====== ONSETS ======
+    // Onset strength with the slowly varying local mean removed, scaled to unit std
+    function normalizeEnvelope(flux) {
+        const n = flux.length;
+        const env = new Float64Array(n);
+        const radius = 8;
+        let sum = 0, count = 0;
+        for (let i = 0; i < Math.min(n, radius); i++) { sum += flux[i]; count++; }
+        for (let i = 0; i < n; i++) {
+            if (i + radius < n) { sum += flux[i + radius]; count++; }
+            if (i - radius - 1 >= 0) { sum -= flux[i - radius - 1]; count--; }
+            env[i] = Math.max(0, flux[i] - sum / count);
+        }
+        let mean = 0;
+        for (let i = 0; i < n; i++) mean += env[i];
+        mean /= n || 1;
+        let variance = 0;
+        for (let i = 0; i < n; i++) variance += (env[i] - mean) ** 2;
+        const std = Math.sqrt(variance / (n || 1)) || 1;
+        for (let i = 0; i < n; i++) env[i] /= std;
+        return env;
+    }
+
+    // Local maxima of the envelope that stand above their neighbourhood
+    function pickOnsets(env, frameRate) {
+        const onsets = [];
+        const minGap = Math.max(1, Math.round(MIN_ONSET_GAP * frameRate));
+        for (let i = 1; i < env.length - 1; i++) {
+            if (env[i] < 0.5) continue;
+            let isPeak = true;
+            for (let j = Math.max(0, i - 3); j <= Math.min(env.length - 1, i + 3); j++) {
+                if (env[j] > env[i]) { isPeak = false; break; }
+            }
+            if (!isPeak) continue;
+            if (onsets.length && i - onsets[onsets.length - 1] < minGap) {
+                if (env[i] > env[onsets[onsets.length - 1]]) onsets[onsets.length - 1] = i;
+                continue;
+            }
+            onsets.push(i);
+        }
+        return onsets;
+    }
+
+    // ====== TEMPO & BEATS ======
+    // Autocorrelation of the onset envelope, weighted by a log-normal prior around 120 BPM
+    function estimateTempo(env, frameRate) {
+        const minLag = Math.floor(60 * frameRate / MAX_TEMPO);
+        const maxLag = Math.ceil(60 * frameRate / MIN_TEMPO);
+
+        // Smear sharp peaks over neighbouring frames so periods that fall between integer lags still line up
+        const smooth = env.map((v, i) => 0.5 * v + 0.25 * (env[i - 1] || 0) + 0.25 * (env[i + 1] || 0));
+        const scores = [];
+        for (let lag = minLag; lag <= maxLag + 1; lag++) {
+            let sum = 0;
+            for (let i = lag; i < smooth.length; i++) sum += smooth[i] * smooth[i - lag];
+            scores.push(sum / Math.max(1, smooth.length - lag));
+        }
+        let bestLag = minLag, bestScore = -Infinity, total = 0;
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            const bpm = 60 * frameRate / lag;
+            const weighted = scores[lag - minLag] * Math.exp(-0.5 * Math.log2(bpm / PREFERRED_TEMPO) ** 2);
+            total += weighted;
+            if (weighted > bestScore) { bestScore = weighted; bestLag = lag; }
+        }
+
+        // Parabolic interpolation between neighbouring lags for sub-frame tempo precision
+        const idx = bestLag - minLag;
+        let period = bestLag;
+        if (idx > 0 && idx < scores.length - 1) {
+            const [a, b, c] = [scores[idx - 1], scores[idx], scores[idx + 1]];
+            const denom = a - 2 * b + c;
+            if (denom < 0) period += 0.5 * (a - c) / denom;
+        }
+        const mean = total / (maxLag - minLag + 1);
+        return {
+            tempo: 60 * frameRate / period,
+            period,
+            confidence: bestScore > 0 ? Math.max(0, Math.min(1, (bestScore - mean) / bestScore)) : 0
+        };
+    }
+
+    // Dynamic-programming beat tracker: trades onset strength against deviation from the tempo
+    function trackBeats(env, period) {
+        const n = env.length;
+        if (n === 0) return [];
+        const score = new Float64Array(n);
+        const backlink = new Int32Array(n).fill(-1);
+        const minBack = Math.max(1, Math.round(period / 2));
+        const maxBack = Math.round(period * 2);
+        for (let i = 0; i < n; i++) {
+            let best = 0, bestPrev = -1;
+            for (let prev = i - maxBack; prev <= i - minBack; prev++) {
+                if (prev < 0) continue;
+                const candidate = score[prev] - BEAT_TIGHTNESS * Math.log((i - prev) / period) ** 2;
+                if (bestPrev === -1 || candidate > best) { best = candidate; bestPrev = prev; }
+            }
+            score[i] = env[i] + (bestPrev === -1 ? 0 : best);
+            backlink[i] = bestPrev;
+        }
+
+        // Backtrack from the best-scoring frame in the final beat period
+        let last = Math.max(0, n - Math.round(period));
+        for (let i = last; i < n; i++) if (score[i] > score[last]) last = i;
+        const frames = [];
+        for (let i = last; i >= 0; i = backlink[i]) frames.push(i);
+        return frames.reverse();
+    }
+
+    // ====== SECTIONS ======
+    // Split the track where average loudness shifts for a sustained stretch
+    function findSections(loudness, frameRate, duration) {
+        const blockFrames = Math.max(1, Math.round(frameRate));
+        const blocks = [];
+        for (let start = 0; start < loudness.length; start += blockFrames) {
+            let power = 0, count = 0;
+            for (let i = start; i < Math.min(loudness.length, start + blockFrames); i++) {
+                power += Math.pow(10, loudness[i] / 10);
+                count++;
+            }
+            blocks.push(toDb(power / count));
+        }
+
+        const span = MIN_SECTION_DURATION;
+        const novelty = blocks.map((_, t) => {
+            if (t < span || t + span > blocks.length) return 0;
+            const before = blocks.slice(t - span, t).reduce((a, b) => a + b, 0) / span;
+            const after = blocks.slice(t, t + span).reduce((a, b) => a + b, 0) / span;
+            return Math.abs(after - before);
+        });
+
+        const boundaries = [0];
+        novelty.forEach((value, t) => {
+            if (value < SECTION_LOUDNESS_CHANGE) return;
+            if (value < (novelty[t - 1] || 0) || value < (novelty[t + 1] || 0)) return;
+            if (t - boundaries[boundaries.length - 1] < MIN_SECTION_DURATION) return;
+            boundaries.push(t);
+        });
+
+        return boundaries.map((start, i) => {
+            const end = i + 1 < boundaries.length ? boundaries[i + 1] : duration;
+            const slice = blocks.slice(start, Math.ceil(end));
+            const power = slice.reduce((sum, db) => sum + Math.pow(10, db / 10), 0) / (slice.length || 1);
+            return {
+                start,
+                duration: end - start,
+                confidence: i === 0 ? 1 : Math.min(1, novelty[start] / (SECTION_LOUDNESS_CHANGE * 3)),
+                loudness: toDb(power)
+            };
+        }).filter(section => section.duration > 0);
+    }
+
+    // ====== ANALYSIS ======
+    // Analyze mono samples and return a Spotify-style audio-analysis object
+    function analyzeSamples(samples, sampleRate = ANALYSIS_SAMPLE_RATE) {
+        const duration = samples.length / sampleRate;
+        const frameRate = sampleRate / HOP_SIZE;
+        const frameTime = (f) => (f * HOP_SIZE + FRAME_SIZE / 2) / sampleRate;
+        const round = (v) => Math.round(v * 100000) / 100000;
+
+        const { frameCount, loudness, flux, lowFlux, chroma, bands } = computeFrames(samples, sampleRate);
+        if (frameCount < 2) throw new Error('Audio is too short to analyze');
+
+        const env = normalizeEnvelope(flux);
+        const lowEnv = normalizeEnvelope(lowFlux);
+        const envPeak = env.reduce((max, v) => Math.max(max, v), 0) || 1;
+        const onsetConfidence = (f) => Math.min(1, env[f] / (envPeak * 0.5));
+
+        // Tempo, beats and downbeat phase
+        const tempoInfo = estimateTempo(env, frameRate);
+        const beatFrames = trackBeats(env, tempoInfo.period);
+        const beats = beatFrames.map((f, i) => ({
+            start: round(frameTime(f)),
+            duration: round(i + 1 < beatFrames.length ? (beatFrames[i + 1] - f) / frameRate : tempoInfo.period / frameRate),
+            confidence: round(onsetConfidence(f))
+        }));
+
+        const timeSignature = 4;
+        let barPhase = 0, bestPhaseEnergy = -Infinity;
+        for (let phase = 0; phase < timeSignature; phase++) {
+            let energy = 0;
+            beatFrames.forEach((f, i) => { if (i % timeSignature === phase) energy += lowEnv[f] + env[f] * 0.5; });
+            if (energy > bestPhaseEnergy) { bestPhaseEnergy = energy; barPhase = phase; }
+        }
+        const bars = [];
+        for (let i = barPhase; i < beats.length; i += timeSignature) {
+            const group = beats.slice(i, i + timeSignature);
+            bars.push({
+                start: group[0].start,
+                duration: round(group.reduce((sum, b) => sum + b.duration, 0)),
+                confidence: round(group.reduce((sum, b) => sum + b.confidence, 0) / group.length)
+            });
+        }
+        const tatums = [];
+        beats.forEach(beat => {
+            const half = beat.duration / 2;
+            tatums.push({ start: beat.start, duration: round(half), confidence: beat.confidence });
+            tatums.push({ start: round(beat.start + half), duration: round(half), confidence: round(beat.confidence / 2) });
+        });
+
+        // Segments start at onsets; long gaps are split so loudness keeps updating
+        const onsets = pickOnsets(env, frameRate);
+        const boundaries = [];
+        const maxSegmentFrames = Math.round(MAX_SEGMENT_DURATION * frameRate);
+        if (!onsets.length || onsets[0] > 0) boundaries.push(0);
+        onsets.forEach((f, i) => {
+            boundaries.push(f);
+            const next = i + 1 < onsets.length ? onsets[i + 1] : frameCount;
+            for (let split = f + maxSegmentFrames; split < next - maxSegmentFrames / 2; split += maxSegmentFrames) boundaries.push(split);
+        });
+        const onsetSet = new Set(onsets);
+
+        const segments = boundaries.map((startFrame, i) => {
+            const endFrame = i + 1 < boundaries.length ? boundaries[i + 1] : frameCount;
+            let maxFrame = startFrame;
+            const pitches = new Array(12).fill(0);
+            const bandPower = new Array(TIMBRE_BANDS).fill(0);
+            for (let f = startFrame; f < endFrame; f++) {
+                if (loudness[f] > loudness[maxFrame]) maxFrame = f;
+                for (let p = 0; p < 12; p++) pitches[p] += chroma[f][p];
+                for (let b = 0; b < TIMBRE_BANDS; b++) bandPower[b] += bands[f][b];
+            }
+            const pitchMax = Math.max(...pitches) || 1;
+            const frames = Math.max(1, endFrame - startFrame);
+            const bandDb = bandPower.map(p => toDb(p / frames));
+            const meanDb = bandDb.reduce((a, b) => a + b, 0) / TIMBRE_BANDS;
+            return {
+                start: round(startFrame === 0 ? 0 : frameTime(startFrame)),
+                duration: round(frames / frameRate),
+                confidence: round(onsetSet.has(startFrame) ? onsetConfidence(startFrame) : 0),
+                loudness_start: round(loudness[startFrame]),
+                loudness_max_time: round((maxFrame - startFrame) / frameRate),
+                loudness_max: round(loudness[maxFrame]),
+                loudness_end: round(loudness[endFrame - 1]),
+                pitches: pitches.map(p => round(p / pitchMax)),
+                // Loosely mirrors Spotify's timbre: overall level first, then spectral shape per band
+                timbre: [round(meanDb), ...bandDb.slice(1).map(db => round(db - meanDb))]
+            };
+        });
+
+        const sections = findSections(loudness, frameRate, duration).map(section => ({
+            start: round(section.start),
+            duration: round(section.duration),
+            confidence: round(section.confidence),
+            loudness: round(section.loudness),
+            tempo: round(tempoInfo.tempo),
+            tempo_confidence: round(tempoInfo.confidence),
+            key: -1,
+            key_confidence: 0,
+            mode: -1,
+            mode_confidence: 0,
+            time_signature: timeSignature,
+            time_signature_confidence: 0
+        }));
+
+        let totalPower = 0;
+        for (let f = 0; f < frameCount; f++) totalPower += Math.pow(10, loudness[f] / 10);
+        const trackLoudness = toDb(totalPower / frameCount);
+        const audible = (f) => loudness[f] > trackLoudness - 20;
+        let fadeIn = 0, fadeOut = frameCount - 1;
+        while (fadeIn < frameCount - 1 && !audible(fadeIn)) fadeIn++;
+        while (fadeOut > 0 && !audible(fadeOut)) fadeOut--;
+
+        return {
+            meta: {
+                analyzer: 'rhythm-beat-local',
+                analyzer_version: ANALYZER_VERSION,
+                sample_rate: sampleRate,
+                timestamp: Math.floor(Date.now() / 1000)
+            },
+            track: {
+                duration: round(duration),
+                loudness: round(trackLoudness),
+                tempo: round(tempoInfo.tempo),
+                tempo_confidence: round(tempoInfo.confidence),
+                time_signature: timeSignature,
+                time_signature_confidence: 0,
+                key: -1,
+                key_confidence: 0,
+                mode: -1,
+                mode_confidence: 0,
+                end_of_fade_in: round(frameTime(fadeIn)),
+                start_of_fade_out: round(frameTime(fadeOut))
+            },
+            bars,
+            beats,
+            tatums,
+            sections,
+            segments
+        };
+    }
+
+    function isLocalAnalysis(analysis) {
+        return analysis?.meta?.analyzer === 'rhythm-beat-local';
+    }
+
+    // ====== WEB AUDIO ======
+    async function decodeAudioFile(file) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        const ctx = new AudioContextClass();
+        try {
+            return await ctx.decodeAudioData(await file.arrayBuffer());
+        } finally {
+            ctx.close();
+        }
+    }
+
+    // Downmix and resample offline, then analyze the rendered samples
+    async function analyzeAudioBuffer(audioBuffer) {
+        const length = Math.ceil(audioBuffer.duration * ANALYSIS_SAMPLE_RATE);
+        const offline = new OfflineAudioContext(1, length, ANALYSIS_SAMPLE_RATE);
+        const source = offline.createBufferSource();
+        source.buffer = audioBuffer;
+        source.connect(offline.destination);
+        source.start(0);
+        const rendered = await offline.startRendering();
+        return analyzeSamples(rendered.getChannelData(0), ANALYSIS_SAMPLE_RATE);
+    }
+
+    async function analyzeAudioFile(file) {
+        return analyzeAudioBuffer(await decodeAudioFile(file));
+    }
+
+    return {
+        ANALYZER_VERSION,
+        ANALYSIS_SAMPLE_RATE,
+        analyzeSamples,
+        analyzeAudioBuffer,
+        analyzeAudioFile,
+        decodeAudioFile,
+        isLocalAnalysis
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RhythmAudioAnalyzer;
+}
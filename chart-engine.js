@@ -0,0 +1,1681 @@
+// ====== RHYTHM BEAT CHART ENGINE ======
+// Pure chart generation: takes a Spotify-style audio analysis object, a difficulty
+// descriptor and options, and returns a versioned chart object. No React or
+// Spicetify dependency, so it runs inside the custom app (as a manifest subfile)
+// and in Node against saved analysis JSON:
+//
+//   const RhythmChartEngine = require('./chart-engine.js');
+//   const chart = RhythmChartEngine.generateChart(analysis, { name: 'HARD', stars: 4, ... }, { keyMode: 4 });
+var RhythmChartEngine = (() => {
+    // Bump whenever a change to the generator alters the notes produced for the same inputs
+    const ENGINE_VERSION = 10;
+
+    // Note synchronization threshold (ms) - notes within this window will be synchronized
+    const NOTE_SYNC_THRESHOLD = 80;
+    // Target NPS: fit/finish rounds, and how close (as a share of the wanted count) is close enough
+    const TARGET_NPS_PASSES = 4;
+    const TARGET_NPS_TOLERANCE = 0.03;
+    // Minimum time before notes can appear (ms)
+    const MIN_NOTE_TIME = 1000;
+    // Minimum gap between notes in the same lane (ms) for playability
+    const MIN_NOTE_GAP = 150;
+    // Minimum gap after slide note ends before another note in same lane (ms)
+    const MIN_SLIDE_END_GAP = 200;
+    // A beat this close to a bar start (ms) is that bar's downbeat
+    const BAR_MATCH_WINDOW = 60;
+
+    // ====== SEEDED RANDOM ======
+    // FNV-1a string hash - turns a chart key into a 32-bit seed
+    function hashSeed(str) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Mulberry32 PRNG - same seed always gives the same sequence in [0, 1)
+    function createRng(seed) {
+        let a = seed >>> 0;
+        return () => {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Chart seed is keyed by track + difficulty + key mode, plus an optional user seed
+    function getChartSeed(trackId, difficultyName, keyMode, userSeed) {
+        const parts = [trackId || 'local', difficultyName || '', `${keyMode}K`];
+        const extra = (userSeed ?? '').toString().trim();
+        if (extra) parts.push(extra);
+        return hashSeed(parts.join('|'));
+    }
+
+    function formatSeed(seed) {
+        return (seed >>> 0).toString(16).toUpperCase().padStart(8, '0');
+    }
+
+    // Only generator-relevant fields are recorded in the chart
+    function describeDifficulty(diff) {
+        return {
+            name: diff.name,
+            stars: diff.stars,
+            color: diff.color
+        };
+    }
+
+    // ====== RHYTHM GRID ======
+    // Position of every beat inside its bar, taken from analysis.bars so pickups and
+    // songs that don't start on a downbeat keep the right phase
+    function getBeatPositions(beats, bars, timeSignature) {
+        const barStarts = (bars || []).map(bar => bar.start * 1000).sort((a, b) => a - b);
+        if (barStarts.length === 0) {
+            return beats.map((_, index) => ({ beatInMeasure: index % timeSignature, isDownbeat: index % timeSignature === 0 }));
+        }
+
+        let barIndex = 0;
+        let firstDownbeat = -1;
+        let counter = 0;
+        const positions = beats.map((beat, index) => {
+            const time = beat.start * 1000;
+            while (barIndex < barStarts.length - 1 && barStarts[barIndex + 1] <= time + BAR_MATCH_WINDOW) barIndex++;
+            const isDownbeat = Math.abs(time - barStarts[barIndex]) <= BAR_MATCH_WINDOW;
+            if (isDownbeat) {
+                counter = 0;
+                if (firstDownbeat === -1) firstDownbeat = index;
+            } else {
+                counter++;
+            }
+            return { beatInMeasure: counter, isDownbeat };
+        });
+
+        // Pickup beats before the first bar count back from it
+        if (firstDownbeat > 0) {
+            for (let i = 0; i < firstDownbeat; i++) {
+                positions[i].beatInMeasure = ((i - firstDownbeat) % timeSignature + timeSignature) % timeSignature;
+            }
+        }
+        return positions;
+    }
+
+    // Snap grid (ms) built from analysis.tatums, so swing and triplet feel survive snapping.
+    // Each tatum is split into `subdivisions` steps. Returns null when there are no tatums.
+    function buildTatumGrid(tatums, subdivisions) {
+        if (!tatums || tatums.length === 0) return null;
+        const sorted = [...tatums].sort((a, b) => a.start - b.start);
+        const grid = [];
+        sorted.forEach((tatum, i) => {
+            const start = tatum.start * 1000;
+            const length = i + 1 < sorted.length ? sorted[i + 1].start * 1000 - start : (tatum.duration || 0) * 1000;
+            if (length <= 0) return;
+            for (let step = 0; step < subdivisions; step++) grid.push(start + (length / subdivisions) * step);
+        });
+        const last = sorted[sorted.length - 1];
+        grid.push((last.start + (last.duration || 0)) * 1000);
+        return grid;
+    }
+
+    // Nearest grid time, or the original time when it is further than half a grid step away
+    function snapToGrid(time, grid) {
+        let lo = 0, hi = grid.length - 1;
+        if (time <= grid[lo] || time >= grid[hi]) return time;
+        while (hi - lo > 1) {
+            const mid = (lo + hi) >> 1;
+            if (grid[mid] <= time) lo = mid;
+            else hi = mid;
+        }
+        const step = grid[hi] - grid[lo];
+        const nearest = time - grid[lo] <= grid[hi] - time ? grid[lo] : grid[hi];
+        return Math.abs(time - nearest) <= step / 2 ? nearest : time;
+    }
+
+    // ====== TEMPO CORRECTION ======
+    // Analyses often report half or double the felt tempo
+    const TEMPO_MULTIPLIERS = [0.5, 1, 2];
+    // Only tempos past these can be a doubled (or halved) reading
+    const DOUBLE_TIME_MIN_TEMPO = 150;
+    const HALF_TIME_MAX_TEMPO = 95;
+    // A segment whose loudness rises this much (dB) is a strong onset
+    const ONSET_ATTACK_DB = 6;
+
+    // Guess whether the reported tempo should be halved (0.5), doubled (2) or kept (1), from
+    // how many strong onsets land per beat and how confident the beats are
+    function detectTempoMultiplier(analysis) {
+        const tempo = analysis.track?.tempo;
+        const beats = analysis.beats || [];
+        const duration = analysis.track?.duration || (beats.length ? beats[beats.length - 1].start : 0);
+        if (!tempo || beats.length < 8 || !duration) return 1;
+
+        const onsets = (analysis.segments || [])
+            .filter(seg => (seg.loudness_max ?? -60) - (seg.loudness_start ?? -60) >= ONSET_ATTACK_DB)
+            .map(seg => seg.start);
+        const onsetsPerBeat = (onsets.length / duration) / (tempo / 60);
+        const meanConfidence = (indexFilter) => {
+            const picked = beats.filter((_, i) => indexFilter(i));
+            return picked.reduce((sum, b) => sum + (b.confidence ?? 0.5), 0) / (picked.length || 1);
+        };
+
+        // Beats outpace the music and every other beat is weak: double-time reading
+        if (tempo >= DOUBLE_TIME_MIN_TEMPO && onsetsPerBeat < 0.75) {
+            const even = meanConfidence(i => i % 2 === 0);
+            const odd = meanConfidence(i => i % 2 === 1);
+            if (meanConfidence(() => true) < 0.5 || Math.min(even, odd) < Math.max(even, odd) * 0.7) return 0.5;
+        }
+
+        // Unsure beats, and onsets pulse as strongly halfway between beats as on them: half-time reading
+        if (tempo <= HALF_TIME_MAX_TEMPO && onsetsPerBeat >= 1.5 && meanConfidence(() => true) < 0.6) {
+            const beatTimes = beats.map(b => b.start);
+            let onbeat = 0;
+            let offbeat = 0;
+            let between = 0;
+            let b = 0;
+            onsets.forEach(time => {
+                while (b < beatTimes.length - 2 && beatTimes[b + 1] <= time) b++;
+                const phase = (time - beatTimes[b]) / (beatTimes[b + 1] - beatTimes[b]);
+                if (phase < 0 || phase > 1) return;
+                if (phase < 0.125 || phase > 0.875) onbeat++;
+                else if (Math.abs(phase - 0.5) < 0.125) offbeat++;
+                else between++;
+            });
+            // The on- and off-beat windows are half the beat, the rest the other half
+            const isPulse = onbeat + offbeat >= between * 2;
+            if (onbeat > 0 && isPulse && offbeat >= onbeat * 0.6) return 2;
+        }
+        return 1;
+    }
+
+    // Double a grid (beats, bars, tatums) by splitting every item, or halve it by keeping every
+    // other item - on the stronger phase, so downbeats survive
+    function resampleGrid(items, multiplier) {
+        if (!items || items.length === 0 || multiplier === 1) return items;
+        if (multiplier === 2) {
+            return items.flatMap(item => {
+                const half = (item.duration || 0) / 2;
+                return [{ ...item, duration: half }, { ...item, start: item.start + half, duration: half }];
+            });
+        }
+        const strength = [0, 1].map(phase => items.reduce((sum, item, i) => sum + (i % 2 === phase ? (item.confidence ?? 0.5) : 0), 0));
+        const phase = strength[1] > strength[0] ? 1 : 0;
+        const kept = items.filter((_, i) => i % 2 === phase);
+        return kept.map((item, i) => ({
+            ...item,
+            duration: i + 1 < kept.length ? kept[i + 1].start - item.start : (item.duration || 0) * 2
+        }));
+    }
+
+    // Copy of the analysis with tempo, beats, bars, tatums and section tempos scaled together
+    function applyTempoCorrection(analysis, multiplier) {
+        if (!analysis || !TEMPO_MULTIPLIERS.includes(multiplier) || multiplier === 1) return analysis;
+        return {
+            ...analysis,
+            track: { ...analysis.track, tempo: (analysis.track?.tempo || 120) * multiplier },
+            beats: resampleGrid(analysis.beats, multiplier),
+            bars: resampleGrid(analysis.bars, multiplier),
+            tatums: resampleGrid(analysis.tatums, multiplier),
+            sections: (analysis.sections || []).map(section => ({ ...section, tempo: section.tempo ? section.tempo * multiplier : section.tempo }))
+        };
+    }
+
+    // Multiplier a chart is generated with: a manual override wins over detection
+    function getTempoMultiplier(analysis, override) {
+        return TEMPO_MULTIPLIERS.includes(override) ? override : detectTempoMultiplier(analysis);
+    }
+
+    // ====== HAND MODEL ======
+    // Hits on one hand closer together than this (ms) count as one uninterrupted run
+    const HAND_STREAM_GAP = 200;
+    // How far ahead one hand may get (in notes) before isolated taps are moved to the other
+    const HAND_BALANCE_SLACK = 8;
+    // A tap with no other note this close (ms) on either side can change hands freely
+    const HAND_ISOLATION_GAP = 250;
+
+    // Lanes split evenly between the hands, matching the KEY_CONFIGS layouts:
+    // 4K DF|JK, 6K SDF|JKL, 8K ASDF|JKL;. Each lane is its own finger.
+    function getHandLayout(keyMode) {
+        const perHand = Math.floor(keyMode / 2);
+        return {
+            perHand,
+            handOf: (lane) => (lane < perHand ? 0 : 1),
+            mirrorLane: (lane) => keyMode - 1 - lane
+        };
+    }
+
+    // Longest uninterrupted run a single hand gets at each difficulty
+    function getMaxConsecutivePerHand(stars) {
+        if (stars >= 8) return 4;
+        if (stars >= 5) return 3;
+        return 2;
+    }
+
+    // Make a note list physically playable: cap uninterrupted runs per hand, never ask a hand
+    // for more fingers than it has (counting held slides), keep the hands' load balanced, and
+    // keep same-lane spacing above minGap after any move. Offending taps move to the mirror
+    // lane on the other hand when that is free, and are dropped otherwise. Slides never move.
+    function applyHandErgonomics(notes, keyMode, { minGap, maxConsecutive }) {
+        const { perHand, handOf, mirrorLane } = getHandLayout(keyMode);
+        const sorted = [...notes].sort((a, b) => a.time - b.time || a.lane - b.lane);
+        const kept = [];
+        const laneBusyUntil = {};
+        const runs = [{ count: 0, lastTime: -Infinity }, { count: 0, lastTime: -Infinity }];
+        const load = [0, 0];
+        let activeSlides = [];
+
+        for (let start = 0; start < sorted.length;) {
+            let end = start;
+            while (end < sorted.length && sorted[end].time - sorted[start].time < 1) end++;
+            const row = sorted.slice(start, end);
+            const time = row[0].time;
+            const prevTime = kept.length ? kept[kept.length - 1].time : -Infinity;
+            const nextTime = end < sorted.length ? sorted[end].time : Infinity;
+            start = end;
+
+            activeSlides = activeSlides.filter(slide => slide.end >= time);
+            const rowLanes = new Set();
+            const rowHandCount = [0, 0];
+            const rowHands = new Set();
+            const handCapacity = (hand) => perHand - activeSlides.filter(slide => handOf(slide.lane) === hand).length - rowHandCount[hand];
+            const laneFree = (lane) => !rowLanes.has(lane) && (laneBusyUntil[lane] === undefined || time - laneBusyUntil[lane] >= minGap);
+            const isIsolated = row.length === 1 && time - prevTime > HAND_ISOLATION_GAP && nextTime - time > HAND_ISOLATION_GAP;
+
+            // Slides first - they hold a finger for the whole row
+            [...row].sort((a, b) => (a.type === 'slide' ? 0 : 1) - (b.type === 'slide' ? 0 : 1)).forEach(note => {
+                let lane = note.lane;
+                if (note.type !== 'slide') {
+                    const hand = handOf(lane);
+                    const runFull = (h) => time - runs[h].lastTime < HAND_STREAM_GAP && runs[h].count >= maxConsecutive;
+                    const needsMove = !laneFree(lane) || handCapacity(hand) <= 0 || runFull(hand);
+                    const wantsBalance = isIsolated && load[hand] - load[1 - hand] > HAND_BALANCE_SLACK;
+                    if (needsMove || wantsBalance) {
+                        const alt = mirrorLane(lane);
+                        if (handOf(alt) !== hand && laneFree(alt) && handCapacity(handOf(alt)) > 0 && !runFull(handOf(alt))) {
+                            lane = alt;
+                        } else if (needsMove) {
+                            return; // Nowhere playable to put it
+                        }
+                    }
+                }
+
+                const hand = handOf(lane);
+                rowHands.add(hand);
+                rowLanes.add(lane);
+                rowHandCount[hand]++;
+                load[hand]++;
+                if (note.type === 'slide') {
+                    laneBusyUntil[lane] = note.time + note.duration + MIN_SLIDE_END_GAP - minGap;
+                    activeSlides.push({ lane, end: note.time + note.duration });
+                    // The slide already holds this finger, so don't count it against the row twice
+                    rowHandCount[hand]--;
+                } else {
+                    laneBusyUntil[lane] = time;
+                }
+                kept.push(lane === note.lane ? note : { ...note, lane });
+            });
+
+            // Extend the runs of the hands that played; a hand that sat this row out starts over
+            [0, 1].forEach(hand => {
+                const run = runs[hand];
+                if (rowHands.has(hand)) {
+                    run.count = time - run.lastTime < HAND_STREAM_GAP ? run.count + 1 : 1;
+                    run.lastTime = time;
+                } else if (rowHands.size > 0) {
+                    run.count = 0;
+                }
+            });
+        }
+        return kept;
+    }
+
+    // ====== DIFFICULTY DEFAULTS ======
+    const DEFAULT_MAX_SIMULTANEOUS = 2;
+
+    // Minimum same-lane gap in ms - lower gap = harder
+    function getDefaultMinNoteGap(stars) {
+        if (stars >= 10) return 40;  // Absolute - 거의 없음
+        if (stars >= 9) return 55;   // Chaos - 매우 빠른 연타
+        if (stars >= 8) return 70;   // Inferno - 빠른 연타
+        if (stars >= 7) return 85;   // Lunatic - 연타 가능
+        if (stars >= 6) return 100;  // Master
+        if (stars >= 5) return 115;  // Expert
+        return MIN_NOTE_GAP; // 150ms for lower difficulties
+    }
+
+    // Grid steps per tatum that notes snap to - finer grid for hard modes
+    function getDefaultGridSnap(stars) {
+        return stars >= 4 ? 4 : 2;
+    }
+
+    // ====== PATTERN LIBRARY ======
+    // Named burst patterns. build(length, lanes, start, maxChord) returns `length` rows of
+    // lanes - a row with more than one lane is a chord. energy: 0 calm, 1 driving, 2 peak;
+    // bursts pick patterns whose energy matches the section they land in.
+    const PATTERN_LIBRARY = {
+        // 0 1 2 3 0 1 ...
+        stairs: { energy: 0, build: (length, lanes, start) => Array.from({ length }, (_, i) => [(start + i) % lanes]) },
+        // 3 2 1 0 3 2 ...
+        reverseStairs: { energy: 0, build: (length, lanes, start) => Array.from({ length }, (_, i) => [((start - i) % lanes + lanes) % lanes]) },
+        // Two lanes on opposite hands, alternating
+        trills: {
+            energy: 0,
+            build: (length, lanes, start) => {
+                const half = Math.floor(lanes / 2);
+                const other = start < half ? start + half : start - half;
+                return Array.from({ length }, (_, i) => [i % 2 === 0 ? start : other]);
+            }
+        },
+        // Up and back down: 0 1 2 3 2 1 0 1 ...
+        rolls: {
+            energy: 1,
+            build: (length, lanes, start) => {
+                const period = Math.max(1, 2 * (lanes - 1));
+                return Array.from({ length }, (_, i) => {
+                    const pos = (start + i) % period;
+                    return [pos < lanes ? pos : period - pos];
+                });
+            }
+        },
+        // Pairs of same-lane hits that hop between hands: 0 0 3 3 2 2 ...
+        minijacks: {
+            energy: 1,
+            jacks: true,
+            build: (length, lanes, start) => {
+                const step = Math.floor(lanes / 2) + 1;
+                return Array.from({ length }, (_, i) => [(start + Math.floor(i / 2) * step) % lanes]);
+            }
+        },
+        // Two-finger chords on adjacent lanes, alternating hands: [01] [23] [01] ...
+        brackets: {
+            energy: 1,
+            build: (length, lanes, start, maxChord) => {
+                const half = Math.floor(lanes / 2);
+                return Array.from({ length }, (_, i) => {
+                    const offset = half > 1 ? Math.floor(i / 2) % (half - 1) : 0;
+                    const first = ((start + i) % 2 === 0 ? 0 : half) + offset;
+                    return maxChord >= 2 && half > 1 ? [first, first + 1] : [first];
+                });
+            }
+        },
+        // Stairs stream with a two-hand jump every third row
+        jumpstream: {
+            energy: 2,
+            build: (length, lanes, start, maxChord) => Array.from({ length }, (_, i) => {
+                const lane = (start + i) % lanes;
+                const partner = lanes - 1 - lane !== lane ? lanes - 1 - lane : (lane + 1) % lanes;
+                return i % 3 === 0 && maxChord >= 2 ? [lane, partner] : [lane];
+            })
+        },
+        // Denser stream with a chord (a "hand" when three notes are allowed) every other row
+        handstream: {
+            energy: 2,
+            build: (length, lanes, start, maxChord) => Array.from({ length }, (_, i) => {
+                const lane = (start + i) % lanes;
+                if (i % 2 !== 0 || maxChord < 2) return [lane];
+                const row = [lane, lanes - 1 - lane !== lane ? lanes - 1 - lane : (lane + 1) % lanes];
+                const third = (lane + 1) % lanes;
+                if (maxChord >= 3 && !row.includes(third)) row.push(third);
+                return row;
+            })
+        }
+    };
+    const PATTERN_NAMES = Object.keys(PATTERN_LIBRARY);
+
+    // Patterns a difficulty uses when it doesn't list its own
+    function getDefaultPatterns(stars) {
+        if (stars >= 8) return PATTERN_NAMES;
+        if (stars >= 6) return ['stairs', 'reverseStairs', 'trills', 'rolls', 'minijacks', 'brackets'];
+        return ['stairs', 'reverseStairs', 'trills', 'rolls'];
+    }
+
+    // ====== LANE MAPPING ======
+    // 'smart': dominant pitch in loud sections, loudness elsewhere
+    // 'timbre': segments clustered by timbre, each cluster owns a lane group
+    const LANE_MAPPING_STYLES = ['smart', 'timbre'];
+    const TIMBRE_KMEANS_ITERATIONS = 12;
+
+    // Cluster segments by timbre shape with k-means. Returns a Map of segment -> lane group,
+    // groups ordered by brightness (timbre[1]) so darker sounds (kicks) sit left of brighter ones (hats).
+    function clusterSegmentsByTimbre(segments, clusterCount) {
+        const usable = segments.filter(seg => seg.timbre && seg.timbre.length >= 12);
+        const groups = new Map();
+        if (usable.length < clusterCount || clusterCount < 2) return groups;
+
+        // Skip timbre[0] (overall loudness) and standardize the remaining dimensions
+        const dims = 11;
+        const raw = usable.map(seg => seg.timbre.slice(1, 12));
+        const mean = averageVectors(raw, dims);
+        const std = mean.map((m, d) => Math.sqrt(raw.reduce((sum, v) => sum + (v[d] - m) ** 2, 0) / raw.length) || 1);
+        const points = raw.map(v => v.map((x, d) => (x - mean[d]) / std[d]));
+
+        // Deterministic start: centroids at brightness quantiles
+        const byBrightness = points.map((p, i) => i).sort((a, b) => points[a][0] - points[b][0]);
+        let centroids = Array.from({ length: clusterCount }, (_, k) =>
+            [...points[byBrightness[Math.floor((k + 0.5) * points.length / clusterCount)]]]
+        );
+        const assignment = new Array(points.length).fill(0);
+        for (let iter = 0; iter < TIMBRE_KMEANS_ITERATIONS; iter++) {
+            let changed = false;
+            points.forEach((p, i) => {
+                let best = 0, bestDist = Infinity;
+                centroids.forEach((c, k) => {
+                    let dist = 0;
+                    for (let d = 0; d < dims; d++) dist += (p[d] - c[d]) ** 2;
+                    if (dist < bestDist) { bestDist = dist; best = k; }
+                });
+                if (assignment[i] !== best) { assignment[i] = best; changed = true; }
+            });
+            centroids = centroids.map((c, k) => {
+                const members = points.filter((_, i) => assignment[i] === k);
+                return members.length ? averageVectors(members, dims) : c;
+            });
+            if (!changed && iter > 0) break;
+        }
+
+        const order = centroids.map((c, k) => k).sort((a, b) => centroids[a][0] - centroids[b][0]);
+        const rankOf = new Array(clusterCount);
+        order.forEach((k, rank) => { rankOf[k] = rank; });
+        usable.forEach((seg, i) => groups.set(seg, rankOf[assignment[i]]));
+        return groups;
+    }
+
+    // ====== REPEATED SECTIONS ======
+    // Sections shorter than this (s) are too short to compare reliably
+    const MIN_REPEAT_SECTION_DURATION = 6;
+    // Similarity (0-1) above which a section counts as a repeat of an earlier one
+    const REPEAT_SIMILARITY_THRESHOLD = 0.86;
+    // Slices per section when comparing pitch contour
+    const REPEAT_PROFILE_SLICES = 4;
+    // Chance that a repeat mirrors the earlier pattern instead of copying it
+    const REPEAT_MIRROR_CHANCE = 0.35;
+
+    function cosineSimilarity(a, b) {
+        let dot = 0, normA = 0, normB = 0;
+        for (let i = 0; i < a.length; i++) {
+            dot += a[i] * b[i];
+            normA += a[i] * a[i];
+            normB += b[i] * b[i];
+        }
+        return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+    }
+
+    function averageVectors(vectors, size) {
+        const sum = new Array(size).fill(0);
+        vectors.forEach(v => { for (let i = 0; i < size; i++) sum[i] += v?.[i] || 0; });
+        return sum.map(x => x / (vectors.length || 1));
+    }
+
+    // For each section, the earlier section it repeats ({ source, similarity }) or null.
+    // Sections are compared by mean timbre and by pitch contour over a few slices of the
+    // section, both centered on the track mean so the sound shared by the whole song doesn't dominate.
+    function findRepeatedSections(analysis) {
+        const sections = [...(analysis.sections || [])].sort((a, b) => a.start - b.start);
+        const segments = analysis.segments || [];
+        const trackTimbre = averageVectors(segments.map(seg => seg.timbre), 12);
+        const trackPitches = averageVectors(segments.map(seg => seg.pitches), 12);
+
+        const profiles = sections.map(section => {
+            const end = section.start + section.duration;
+            const segs = segments.filter(seg => seg.start >= section.start && seg.start < end);
+            if (section.duration < MIN_REPEAT_SECTION_DURATION || segs.length < REPEAT_PROFILE_SLICES) return null;
+            const timbre = averageVectors(segs.map(seg => seg.timbre), 12).map((v, i) => v - trackTimbre[i]);
+            const sliceLength = section.duration / REPEAT_PROFILE_SLICES;
+            const contour = [];
+            for (let slice = 0; slice < REPEAT_PROFILE_SLICES; slice++) {
+                const from = section.start + slice * sliceLength;
+                const slicePitches = averageVectors(segs.filter(seg => seg.start >= from && seg.start < from + sliceLength).map(seg => seg.pitches), 12);
+                contour.push(slicePitches.map((v, i) => v - trackPitches[i]));
+            }
+            return { timbre, contour };
+        });
+
+        return sections.map((section, j) => {
+            if (!profiles[j]) return null;
+            let best = null;
+            for (let i = 0; i < j; i++) {
+                if (!profiles[i]) continue;
+                const ratio = section.duration / sections[i].duration;
+                if (ratio < 0.75 || ratio > 1.33) continue;
+                const timbreSimilarity = cosineSimilarity(profiles[i].timbre, profiles[j].timbre);
+                const pitchSimilarity = profiles[i].contour.reduce((sum, slice, k) => sum + cosineSimilarity(slice, profiles[j].contour[k]), 0) / REPEAT_PROFILE_SLICES;
+                const similarity = timbreSimilarity * 0.4 + pitchSimilarity * 0.6;
+                if (similarity >= REPEAT_SIMILARITY_THRESHOLD && (!best || similarity > best.similarity)) {
+                    // Point at the first occurrence so every repeat shares one pattern
+                    best = { source: i, similarity };
+                }
+            }
+            return best;
+        }).map((match, j, matches) => {
+            if (!match) return null;
+            let source = match.source;
+            while (matches[source]) source = matches[source].source;
+            return { source, similarity: match.similarity };
+        });
+    }
+
+    // Generate a chart from audio analysis
+    function generateChart(sourceAnalysis, diff, options = {}) {
+        // Everything below - beats, bars, tatums, beatInterval, the BPM grid - uses the corrected tempo
+        const tempoMultiplier = getTempoMultiplier(sourceAnalysis, options.tempoMultiplier);
+        const analysis = applyTempoCorrection(sourceAnalysis, tempoMultiplier);
+        const LANES = options.keyMode || 4;
+        const modifiers = options.modifiers || {};
+        const notes = [];
+        const slideNotes = [];
+        const beats = analysis.beats || [];
+        const segments = analysis.segments || [];
+        const sections = analysis.sections || [];
+        const track = analysis.track || {};
+
+        // Get tempo and time signature info
+        const tempo = track.tempo || 120;
+        const timeSignature = track.time_signature || 4;
+        const beatInterval = 60000 / tempo; // ms per beat
+
+        // Seeded RNG - same track, difficulty, key mode and user seed always give the same chart
+        const seed = options.seed ?? getChartSeed(options.trackId, diff.name, LANES, options.userSeed);
+        const rng = createRng(seed);
+
+        // Lane mapping style - an explicit option (from settings) wins over the difficulty's own
+        const laneMapping = LANE_MAPPING_STYLES.includes(options.laneMapping) ? options.laneMapping
+            : (LANE_MAPPING_STYLES.includes(diff.laneMapping) ? diff.laneMapping : 'smart');
+
+        // Custom difficulties may override the per-star defaults
+        const dynamicMinGap = diff.minNoteGap ?? getDefaultMinNoteGap(diff.stars);
+        const maxSimultaneous = diff.maxSimultaneous ?? DEFAULT_MAX_SIMULTANEOUS;
+        const gridSnap = diff.gridSnap ?? getDefaultGridSnap(diff.stars);
+
+        // Lane modifiers
+        const isMirror = modifiers.mirror;
+        const isRandom = modifiers.random;
+
+        // Analyze segments for loudness range (for dynamic lane assignment)
+        const loudnessValues = segments.map(s => s.loudness_max || s.loudness_start || -20);
+        const minLoudness = Math.min(...loudnessValues);
+        const maxLoudness = Math.max(...loudnessValues);
+        const loudnessRange = maxLoudness - minLoudness || 1;
+
+        // Analyze segments for pitch patterns
+        const getPitchLane = (segment) => {
+            if (!segment.pitches || segment.pitches.length === 0) {
+                return Math.floor(LANES / 2);
+            }
+            // Find dominant pitch (0-11 representing C to B)
+            const maxPitchIndex = segment.pitches.indexOf(Math.max(...segment.pitches));
+            // Map 12 pitches to available lanes
+            return Math.floor((maxPitchIndex / 12) * LANES);
+        };
+
+        // Timbre clusters get two lanes each, so the same instrument stays under the same fingers
+        const timbreGroupCount = Math.max(2, Math.floor(LANES / 2));
+        const timbreGroups = laneMapping === 'timbre' ? clusterSegmentsByTimbre(segments, timbreGroupCount) : new Map();
+        const timbreGroupLastLane = new Array(timbreGroupCount).fill(-1);
+        const getTimbreLane = (segment) => {
+            const group = timbreGroups.get(segment);
+            if (group === undefined) return getPitchLane(segment);
+            const groupSize = LANES / timbreGroupCount;
+            const first = Math.floor(group * groupSize);
+            const last = Math.max(first, Math.floor((group + 1) * groupSize) - 1);
+            // Alternate within the group to avoid jacks
+            const lane = timbreGroupLastLane[group] === first ? last : first;
+            timbreGroupLastLane[group] = lane;
+            return lane;
+        };
+
+        // Get loudness-based lane (louder = more center, quieter = more edges)
+        const getLoudnessLane = (segment) => {
+            const loudness = segment.loudness_max || segment.loudness_start || -20;
+            const normalized = (loudness - minLoudness) / loudnessRange; // 0-1
+            // Map to lanes: quiet sounds go to edges, loud sounds go to center
+            if (normalized > 0.6) {
+                // Loud - center lanes
+                return Math.floor(LANES / 2) + (rng() > 0.5 ? 0 : -1);
+            } else if (normalized < 0.3) {
+                // Quiet - edge lanes
+                return rng() > 0.5 ? 0 : LANES - 1;
+            } else {
+                // Medium - any lane
+                return Math.floor(rng() * LANES);
+            }
+        };
+
+        // Helper function to check if a time overlaps with any slide note in the same lane
+        const overlapsWithSlide = (time, lane, duration = 0) => {
+            const noteStart = time;
+            const noteEnd = time + duration;
+            return slideNotes.some(slide => {
+                if (slide.lane !== lane) return false;
+                const slideStart = slide.time - MIN_SLIDE_END_GAP;
+                const slideEnd = slide.time + slide.duration + MIN_SLIDE_END_GAP;
+                // Check if the time ranges overlap
+                return (noteStart < slideEnd && noteEnd > slideStart);
+            });
+        };
+
+        // Helper function to check if a new slide note overlaps with existing slides
+        const slideOverlapsWithExisting = (time, lane, duration) => {
+            const newStart = time;
+            const newEnd = time + duration;
+            return slideNotes.some(slide => {
+                if (slide.lane !== lane) return false;
+                const existingStart = slide.time;
+                const existingEnd = slide.time + slide.duration;
+                // Check overlap with buffer
+                const buffer = MIN_SLIDE_END_GAP;
+                return (newStart < existingEnd + buffer && newEnd > existingStart - buffer);
+            });
+        };
+
+        // Notes worth keeping when thinning: slides and strong beats first, bursts and fills last
+        const getKeepScore = (note) => (note.confidence ?? 0.5)
+            + (note.type === 'slide' ? 2 : 0)
+            + (note.isDownbeat ? 1 : 0)
+            + (note.isAccent ? 0.5 : 0)
+            - (note.isBurst || note.isRapidSeq || note.isFill ? 0.3 : 0);
+
+        // Add or thin notes section by section towards targetNps { avg, peak }. One call is one pass;
+        // generateChart repeats it after the hand model and repair have dropped what they must.
+        const fitToTargetNps = (chartNotes, target, playStart, playEnd, pass = 0) => {
+            if (!(playEnd > playStart)) return chartNotes;
+            const peak = Math.max(target.avg, target.peak || target.avg * 2);
+            // No one-second window may go over the target peak
+            const peakWindow = 1000;
+            const peakLimit = Math.max(1, Math.floor(peak * peakWindow / 1000));
+            const spans = (sections.length ? sections : [{ start: 0, duration: playEnd / 1000 }])
+                .map(section => ({
+                    start: Math.max(playStart, section.start * 1000),
+                    end: Math.min(playEnd, (section.start + section.duration) * 1000)
+                }))
+                .filter(span => span.end > span.start);
+            spans.forEach(span => {
+                span.notes = chartNotes.filter(n => n.time >= span.start && n.time < span.end);
+                span.cap = peak * (span.end - span.start) / 1000;
+            });
+
+            // Keep the song's own contour: scale every section alike, cap at the peak,
+            // then hand what the capped sections lost to the ones with room left
+            const totalNotes = spans.reduce((sum, span) => sum + span.notes.length, 0);
+            const wanted = target.avg * (playEnd - playStart) / 1000;
+            const scale = totalNotes > 0 ? wanted / totalNotes : 0;
+            spans.forEach(span => { span.target = Math.min(span.cap, span.notes.length * scale); });
+            for (let pass = 0; pass < 3; pass++) {
+                const deficit = wanted - spans.reduce((sum, span) => sum + span.target, 0);
+                const open = spans.filter(span => span.target < span.cap);
+                const openTime = open.reduce((sum, span) => sum + span.end - span.start, 0);
+                if (deficit < 1 || openTime <= 0) break;
+                open.forEach(span => {
+                    span.target = Math.min(span.cap, span.target + deficit * (span.end - span.start) / openTime);
+                });
+            }
+
+            const removed = new Set();
+            const added = [];
+            const beatTimes = beats.map(b => b.start * 1000);
+            const isOnBeat = (time) => beatTimes.some(t => Math.abs(t - time) < NOTE_SYNC_THRESHOLD / 2);
+            // Slow songs need a finer grid than the difficulty's own to reach the target
+            const candidateGrid = buildTatumGrid(analysis.tatums, Math.max(gridSnap, 4))
+                || Array.from({ length: Math.ceil(playEnd / (beatInterval / 4)) }, (_, i) => i * beatInterval / 4);
+
+            // Sorted times of every note, so a fill can check the peak windows around it
+            const allTimes = chartNotes.map(n => n.time).sort((a, b) => a - b);
+            const lowerBound = (value) => {
+                let lo = 0, hi = allTimes.length;
+                while (lo < hi) {
+                    const mid = (lo + hi) >> 1;
+                    if (allTimes[mid] < value) lo = mid + 1; else hi = mid;
+                }
+                return lo;
+            };
+            // Would a note at `time` put any one-second window holding it over the peak?
+            const fitsPeak = (time) => {
+                const near = allTimes.slice(lowerBound(time - peakWindow + 1), lowerBound(time + peakWindow));
+                return [...near.filter(t => t <= time), time].every(start =>
+                    near.filter(t => t >= start && t < start + peakWindow).length + 1 <= peakLimit);
+            };
+
+            spans.forEach((span, spanIndex) => {
+                const goal = Math.round(span.target);
+                if (span.notes.length > goal) {
+                    // Thin: drop the least important notes
+                    span.notes
+                        .map(note => ({ note, score: getKeepScore(note) + rng() * 0.01 }))
+                        .sort((a, b) => a.score - b.score)
+                        .slice(0, span.notes.length - goal)
+                        .forEach(({ note }) => removed.add(note));
+                } else if (span.notes.length < goal) {
+                    // Fill: open grid points, beats before off-beats, with room between rows, a free
+                    // lane (the full min gap) and room under the peak
+                    const taken = span.notes.map(n => n.time);
+                    const occupied = [...span.notes];
+                    const laneIsFree = (time, lane) => !overlapsWithSlide(time, lane)
+                        && !occupied.some(n => n.lane === lane && Math.abs(n.time - time) < dynamicMinGap);
+                    const candidates = candidateGrid
+                        .filter(time => time >= span.start && time < span.end)
+                        .map(time => ({ time, score: (isOnBeat(time) ? 1 : 0) + rng() * 0.5 }))
+                        .sort((a, b) => b.score - a.score);
+                    for (const { time } of candidates) {
+                        if (taken.length >= goal) break;
+                        if (taken.some(t => Math.abs(t - time) < dynamicMinGap / 2) || !fitsPeak(time)) continue;
+                        let lane = applyLaneModifier(getSmartLane(time, getSegmentAtTime(time), isOnBeat(time)));
+                        for (let step = 0; step < LANES && !laneIsFree(time, lane); step++) lane = (lane + 1) % LANES;
+                        if (!laneIsFree(time, lane)) continue;
+                        taken.push(time);
+                        occupied.push({ time, lane });
+                        allTimes.splice(lowerBound(time), 0, time);
+                        added.push({
+                            id: `fill-${pass}-${spanIndex}-${added.length}`,
+                            type: 'tap',
+                            time,
+                            lane,
+                            confidence: 0.5,
+                            isFill: true
+                        });
+                    }
+                }
+            });
+
+            const fitted = chartNotes.filter(n => !removed.has(n)).concat(added).sort((a, b) => a.time - b.time);
+
+            // Peak: existing notes can still crowd a window; fills never do
+            const result = [];
+            fitted.forEach(note => {
+                result.push(note);
+                let first = result.length - 1;
+                while (first > 0 && note.time - result[first - 1].time < peakWindow) first--;
+                const inWindow = result.slice(first);
+                if (inWindow.length > peakLimit) {
+                    const weakest = inWindow.reduce((min, n) => (getKeepScore(n) < getKeepScore(min) ? n : min));
+                    result.splice(result.indexOf(weakest), 1);
+                }
+            });
+            return result;
+        };
+
+        // Apply lane modifier
+        const applyLaneModifier = (lane) => {
+            lane = Math.max(0, Math.min(LANES - 1, lane)); // Clamp to valid range
+            if (isMirror) {
+                return LANES - 1 - lane;
+            }
+            if (isRandom) {
+                return Math.floor(rng() * LANES);
+            }
+            return lane;
+        };
+
+        // Find the section for a given time
+        const getSectionAtTime = (time) => {
+            const timeSec = time / 1000;
+            return sections.find((s, i) => {
+                const nextSection = sections[i + 1];
+                return timeSec >= s.start && (!nextSection || timeSec < nextSection.start);
+            });
+        };
+
+        // Find the closest segment for a given time
+        const getSegmentAtTime = (time) => {
+            const timeSec = time / 1000;
+            let closest = segments[0];
+            let minDiff = Infinity;
+            for (const seg of segments) {
+                const diff = Math.abs(seg.start - timeSec);
+                if (diff < minDiff) {
+                    minDiff = diff;
+                    closest = seg;
+                }
+                if (seg.start > timeSec) break;
+            }
+            return closest;
+        };
+
+        // Track lane history for creating flowing patterns
+        let lastLane = Math.floor(LANES / 2);
+        let patternDirection = 1; // 1 = moving right, -1 = moving left
+        let consecutiveCount = 0;
+        const maxConsecutive = 3; // Max notes in same lane before forcing movement
+
+        // Smart lane selection that creates musical patterns
+        const getSmartLane = (time, segment, isDownbeat) => {
+            const section = getSectionAtTime(time);
+            const sectionLoudness = section?.loudness || -10;
+
+            // High energy sections: more movement, use pitch-based lanes
+            // Low energy sections: simpler patterns, stay center
+            const isHighEnergy = sectionLoudness > -8;
+
+            let targetLane;
+
+            if (laneMapping === 'timbre' && segment) {
+                targetLane = getTimbreLane(segment);
+            } else if (isHighEnergy && segment) {
+                // Use pitch to determine lane for melodic feel
+                targetLane = getPitchLane(segment);
+            } else if (segment) {
+                // Use loudness for dynamic feel
+                targetLane = getLoudnessLane(segment);
+            } else {
+                // Fallback: create flowing pattern
+                targetLane = lastLane + patternDirection;
+            }
+
+            // Apply pattern rules for playability
+            if (targetLane === lastLane) {
+                consecutiveCount++;
+                if (consecutiveCount >= maxConsecutive) {
+                    // Force lane change after too many consecutive same-lane notes
+                    targetLane = lastLane + patternDirection;
+                    consecutiveCount = 0;
+                }
+            } else {
+                consecutiveCount = 0;
+            }
+
+            // Bounce at edges
+            if (targetLane >= LANES) {
+                targetLane = LANES - 2;
+                patternDirection = -1;
+            } else if (targetLane < 0) {
+                targetLane = 1;
+                patternDirection = 1;
+            }
+
+            // Occasionally change direction for variety (on strong beats)
+            if (isDownbeat && rng() < 0.3) {
+                patternDirection *= -1;
+            }
+
+            lastLane = targetLane;
+            return Math.max(0, Math.min(LANES - 1, targetLane));
+        };
+
+        // FIRST: Generate slide notes based on difficulty slideChance
+        const slideChance = diff.slideChance || 0;
+        if (slideChance > 0) {
+            // Sort sections by time to process in order
+            const sortedSections = [...sections].sort((a, b) => a.start - b.start);
+            
+            // Use sections with high loudness for slide notes
+            sortedSections.forEach((section, index) => {
+                if (section.loudness < -10) return; // Skip quiet sections
+                
+                // Use slideChance to determine frequency
+                if (rng() > slideChance * 2) return;
+
+                const time = section.start * 1000;
+                if (time < MIN_NOTE_TIME) return;
+
+                // Duration based on section confidence and difficulty
+                const baseDuration = Math.min(section.duration * 1000 * 0.4, 2500);
+                const duration = Math.max(400, baseDuration * (section.confidence || 0.5) * (0.8 + diff.stars * 0.05));
+
+                // Place slide notes - higher difficulties can use more lanes
+                let lane;
+                if (diff.stars <= 4) {
+                    lane = index % 2 === 0 ? 0 : LANES - 1; // Edge lanes only
+                } else if (diff.stars <= 7) {
+                    lane = Math.floor(rng() * LANES); // Any lane
+                } else {
+                    // High difficulty: weighted towards center for challenge
+                    const centerWeight = rng();
+                    if (centerWeight < 0.4) {
+                        lane = Math.floor(LANES / 2) + (rng() > 0.5 ? 0 : -1);
+                    } else {
+                        lane = Math.floor(rng() * LANES);
+                    }
+                }
+                lane = applyLaneModifier(lane);
+
+                // Check if this slide overlaps with existing slides
+                if (slideOverlapsWithExisting(time, lane, duration)) {
+                    // Try to find an alternative lane
+                    let foundLane = false;
+                    for (let tryLane = 0; tryLane < LANES; tryLane++) {
+                        const altLane = applyLaneModifier(tryLane);
+                        if (!slideOverlapsWithExisting(time, altLane, duration)) {
+                            lane = altLane;
+                            foundLane = true;
+                            break;
+                        }
+                    }
+                    // If no lane is available, skip this slide note
+                    if (!foundLane) return;
+                }
+
+                notes.push({
+                    id: `slide-${index}`,
+                    type: 'slide',
+                    time: time,
+                    lane: lane,
+                    duration: duration
+                });
+                slideNotes.push({ time, lane, duration });
+            });
+        }
+
+        // SECOND: Generate tap notes from beats with musical lane assignment
+        const beatsPerMeasure = timeSignature;
+        const beatPositions = getBeatPositions(beats, analysis.bars, beatsPerMeasure);
+
+        beats.forEach((beat, index) => {
+            const { beatInMeasure, isDownbeat } = beatPositions[index];
+
+            // Apply difficulty filter
+            if (diff.noteMultiplier < 1.0) {
+                const skipRate = Math.floor(1 / diff.noteMultiplier);
+                // Keep strong beats (downbeats), skip some weak beats
+                const isStrongBeat = isDownbeat || beatInMeasure === Math.floor(beatsPerMeasure / 2);
+
+                if (!isStrongBeat && index % skipRate !== 0) return;
+            }
+
+            const time = beat.start * 1000;
+            if (time < MIN_NOTE_TIME) return;
+
+            const segment = getSegmentAtTime(time);
+            let lane = getSmartLane(time, segment, isDownbeat);
+            lane = applyLaneModifier(lane);
+
+            if (overlapsWithSlide(time, lane)) {
+                // Try adjacent lanes
+                const altLane1 = (lane + 1) % LANES;
+                const altLane2 = (lane - 1 + LANES) % LANES;
+                if (!overlapsWithSlide(time, altLane1)) {
+                    lane = altLane1;
+                } else if (!overlapsWithSlide(time, altLane2)) {
+                    lane = altLane2;
+                } else {
+                    return; // Skip this note
+                }
+            }
+
+            notes.push({
+                id: `beat-${index}`,
+                type: 'tap',
+                time: time,
+                lane: lane,
+                confidence: beat.confidence || 0.5,
+                isDownbeat
+            });
+        });
+
+        // THIRD: Add accent notes from high-confidence segments (for difficult modes)
+        if (diff.stars >= 2) {
+            segments.forEach((segment, index) => {
+                // Only add notes for significant musical events
+                const isLoudEnough = (segment.loudness_max || -20) > (maxLoudness - loudnessRange * 0.3);
+                const isConfident = (segment.confidence || 0) > diff.segmentThreshold;
+
+                if (!isLoudEnough || !isConfident) return;
+
+                const time = segment.start * 1000;
+                if (time < MIN_NOTE_TIME) return;
+
+                // Check if there's already a note close to this time
+                const existingNote = notes.find(n =>
+                    Math.abs(n.time - time) < beatInterval * 0.4
+                );
+                if (existingNote) return;
+
+                let lane = laneMapping === 'timbre' ? getTimbreLane(segment) : getPitchLane(segment);
+                lane = applyLaneModifier(lane);
+
+                if (overlapsWithSlide(time, lane)) return;
+
+                notes.push({
+                    id: `seg-${index}`,
+                    type: 'tap',
+                    time: time,
+                    lane: lane,
+                    confidence: segment.confidence,
+                    isAccent: true
+                });
+            });
+        }
+
+        // FOURTH: Add chord notes (up to maxSimultaneous) and rapid sequences
+        const chordChance = diff.chordChance || 0;
+        if (chordChance > 0) {
+            const { perHand, handOf, mirrorLane } = getHandLayout(LANES);
+            const tapNotes = notes.filter(n => n.type === 'tap' && !n.isChord && !n.isRapidSeq);
+            let lastChordTime = -Infinity; // Track last chord time to prevent consecutive chords
+            const minChordGap = 500; // Minimum gap between chords (ms)
+            
+            tapNotes.forEach((note, index) => {
+                if (rng() > chordChance) return;
+                // Prefer adding on downbeats and accents
+                if (!note.isDownbeat && !note.isAccent && rng() > 0.5) return;
+
+                // Check if this would be a consecutive chord (prevent chord → chord)
+                const timeSinceLastChord = note.time - lastChordTime;
+                const wouldBeConsecutive = timeSinceLastChord < minChordGap;
+                
+                // High difficulty: convert most to rapid sequences, but allow occasional chords
+                // If would be consecutive, always use rapid sequence instead
+                const rapidChance = diff.stars >= 8 ? 0.85 : (diff.stars >= 6 ? 0.75 : 0.5);
+                const useRapidSequence = wouldBeConsecutive || (diff.stars >= 5 && rng() < rapidChance);
+                
+                if (useRapidSequence) {
+                    // Create rapid sequence instead of chord (다다다닥)
+                    let rapidLength, rapidInterval;
+                    if (diff.stars >= 10) {
+                        rapidLength = 4 + Math.floor(rng() * 3); // 4-6 notes
+                        rapidInterval = 40 + Math.floor(rng() * 20); // 40-60ms
+                    } else if (diff.stars >= 9) {
+                        rapidLength = 3 + Math.floor(rng() * 3); // 3-5 notes
+                        rapidInterval = 50 + Math.floor(rng() * 20); // 50-70ms
+                    } else if (diff.stars >= 8) {
+                        rapidLength = 3 + Math.floor(rng() * 2); // 3-4 notes
+                        rapidInterval = 60 + Math.floor(rng() * 20); // 60-80ms
+                    } else if (diff.stars >= 7) {
+                        rapidLength = 2 + Math.floor(rng() * 2); // 2-3 notes
+                        rapidInterval = 70 + Math.floor(rng() * 20); // 70-90ms
+                    } else {
+                        rapidLength = 2;
+                        rapidInterval = 80 + Math.floor(rng() * 20); // 80-100ms
+                    }
+                    
+                    let currentLane = note.lane;
+                    let lastLane = note.lane;
+                    for (let i = 1; i < rapidLength; i++) {
+                        // ALWAYS change lane - never same lane twice in a row
+                        let newLane;
+                        if (diff.stars >= 8) {
+                            // Chaotic zigzag - bigger jumps
+                            const possibleMoves = [-2, -1, 1, 2].filter(m => {
+                                const target = currentLane + m;
+                                return target >= 0 && target < LANES && target !== lastLane;
+                            });
+                            const move = possibleMoves[Math.floor(rng() * possibleMoves.length)] || (currentLane > 0 ? -1 : 1);
+                            newLane = Math.max(0, Math.min(LANES - 1, currentLane + move));
+                        } else {
+                            // Alternating between adjacent lanes
+                            if (currentLane === 0) {
+                                newLane = 1;
+                            } else if (currentLane === LANES - 1) {
+                                newLane = LANES - 2;
+                            } else {
+                                newLane = currentLane + (i % 2 === 0 ? 1 : -1);
+                            }
+                        }
+                        lastLane = currentLane;
+                        currentLane = newLane;
+                        
+                        const seqTime = note.time + i * rapidInterval;
+                        if (!overlapsWithSlide(seqTime, currentLane)) {
+                            notes.push({
+                                id: `rapid-${index}-${i}`,
+                                type: 'tap',
+                                time: seqTime,
+                                lane: currentLane,
+                                confidence: note.confidence,
+                                isRapidSeq: true
+                            });
+                        }
+                    }
+                } else {
+                    // Chord of 2 up to maxSimultaneous notes; each extra note is rarer than the last
+                    let chordSize = 2;
+                    while (chordSize < maxSimultaneous && rng() < chordChance * 0.5) chordSize++;
+
+                    // Hand model: never more fingers than a hand has free (a held slide keeps one
+                    // busy). The first partner is the classic two lanes over; later ones go to the
+                    // less loaded hand, its mirror lane first.
+                    const chordLanes = [note.lane];
+                    const handLoad = [0, 1].map(hand => Array.from({ length: LANES }, (_, lane) => lane)
+                        .filter(lane => handOf(lane) === hand && lane !== note.lane && overlapsWithSlide(note.time, lane)).length);
+                    handLoad[handOf(note.lane)]++;
+                    while (chordLanes.length < chordSize) {
+                        const hands = [0, 1].filter(hand => handLoad[hand] < perHand)
+                            .sort((a, b) => handLoad[a] - handLoad[b]);
+                        const free = (lane) => !chordLanes.includes(lane) && !overlapsWithSlide(note.time, lane);
+                        let chordLane = null;
+                        const classicLane = Math.max(0, Math.min(LANES - 1, note.lane <= LANES / 2 ? note.lane + 2 : note.lane - 2));
+                        if (chordLanes.length === 1 && free(classicLane) && handLoad[handOf(classicLane)] < perHand) {
+                            chordLane = classicLane;
+                        }
+                        for (const hand of chordLane === null ? hands : []) {
+                            const mirror = mirrorLane(note.lane);
+                            const candidates = Array.from({ length: LANES }, (_, lane) => lane)
+                                .filter(lane => handOf(lane) === hand && free(lane));
+                            if (candidates.length === 0) continue;
+                            chordLane = candidates.includes(mirror) ? mirror : candidates[Math.floor(rng() * candidates.length)];
+                            break;
+                        }
+                        if (chordLane === null) break;
+                        chordLanes.push(chordLane);
+                        handLoad[handOf(chordLane)]++;
+                    }
+
+                    chordLanes.slice(1).forEach((chordLane, i) => {
+                        notes.push({
+                            id: i === 0 ? `chord-${index}` : `chord-${index}-${i}`,
+                            type: 'tap',
+                            time: note.time,
+                            lane: chordLane,
+                            confidence: note.confidence,
+                            isChord: true
+                        });
+                    });
+                    // Update last chord time
+                    if (chordLanes.length > 1) lastChordTime = note.time;
+                }
+            });
+        }
+
+        // FIFTH: Add burst notes (rapid consecutive notes) for higher difficulties,
+        // built from the named pattern library
+        const burstChance = diff.burstChance || 0;
+        const enabledPatterns = (Array.isArray(diff.patterns) ? diff.patterns : getDefaultPatterns(diff.stars))
+            .filter(name => PATTERN_LIBRARY[name]);
+        const sectionLoudness = sections.map(s => s.loudness ?? -10);
+        const minSectionLoudness = Math.min(...sectionLoudness);
+        const sectionLoudnessRange = Math.max(...sectionLoudness) - minSectionLoudness || 1;
+        // 0 calm, 1 driving, 2 peak - relative to the track's own sections
+        const getSectionEnergy = (time) => {
+            const section = getSectionAtTime(time);
+            if (!section || sections.length < 2) return 1;
+            const normalized = ((section.loudness ?? -10) - minSectionLoudness) / sectionLoudnessRange;
+            return normalized > 0.7 ? 2 : (normalized > 0.35 ? 1 : 0);
+        };
+        if (burstChance > 0 && diff.stars >= 4 && enabledPatterns.length > 0) {
+            const highEnergySegments = segments.filter(s => (s.loudness_max || -20) > maxLoudness - loudnessRange * 0.25);
+            highEnergySegments.forEach((segment, index) => {
+                if (rng() > burstChance) return;
+                
+                const startTime = segment.start * 1000;
+                if (startTime < MIN_NOTE_TIME) return;
+                
+                // Check if there's already notes close by
+                const hasNearbyNotes = notes.some(n => Math.abs(n.time - startTime) < 150);
+                if (hasNearbyNotes) return;
+                
+                // Create a burst of rapid notes - more notes at higher difficulties
+                let burstLength, burstInterval;
+                if (diff.stars >= 10) {
+                    burstLength = 8 + Math.floor(rng() * 6); // 8-13 notes
+                    burstInterval = 50 + Math.floor(rng() * 30); // 50-80ms (insane speed)
+                } else if (diff.stars >= 9) {
+                    burstLength = 6 + Math.floor(rng() * 5); // 6-10 notes
+                    burstInterval = 60 + Math.floor(rng() * 30); // 60-90ms
+                } else if (diff.stars >= 8) {
+                    burstLength = 5 + Math.floor(rng() * 4); // 5-8 notes
+                    burstInterval = 70 + Math.floor(rng() * 30); // 70-100ms
+                } else if (diff.stars >= 7) {
+                    burstLength = 4 + Math.floor(rng() * 3); // 4-6 notes
+                    burstInterval = 80 + Math.floor(rng() * 30); // 80-110ms
+                } else {
+                    burstLength = 3 + Math.floor(rng() * 2); // 3-4 notes
+                    burstInterval = 100 + Math.floor(rng() * 30); // 100-130ms
+                }
+                
+                // Pick a named pattern that fits the section's energy
+                const energy = getSectionEnergy(startTime);
+                const candidates = enabledPatterns.filter(name => PATTERN_LIBRARY[name].energy === energy);
+                const pool = candidates.length ? candidates : enabledPatterns;
+                const patternName = pool[Math.floor(rng() * pool.length)];
+                const pattern = PATTERN_LIBRARY[patternName];
+                // Same-lane repeats need at least the difficulty's minimum gap
+                const interval = pattern.jacks ? Math.max(burstInterval, dynamicMinGap) : burstInterval;
+                const rows = pattern.build(burstLength, LANES, Math.floor(rng() * LANES), maxSimultaneous);
+
+                rows.forEach((row, i) => {
+                    const noteTime = startTime + i * interval;
+                    row.forEach((rowLane, j) => {
+                        const lane = applyLaneModifier(rowLane);
+                        if (overlapsWithSlide(noteTime, lane)) return;
+                        notes.push({
+                            id: `burst-${index}-${i}${j ? `-${j}` : ''}`,
+                            type: 'tap',
+                            time: noteTime,
+                            lane,
+                            confidence: 0.8,
+                            isBurst: true,
+                            ...(row.length > 1 ? { isChord: true } : {}),
+                            pattern: patternName
+                        });
+                    });
+                });
+            });
+        }
+
+        // SIXTH: Repeated sections (a returning chorus) reuse or mirror the first occurrence's pattern
+        const orderedSections = [...sections].sort((a, b) => a.start - b.start);
+        const repeats = findRepeatedSections(analysis);
+        if (repeats.some(Boolean)) {
+            const beatTimes = beats.map(b => b.start * 1000);
+            // Beat-relative positions keep the copied rhythm locked to the beat even if tempo drifts
+            const toBeatPosition = (time) => {
+                if (beatTimes.length < 2) return time / beatInterval;
+                let i = 0;
+                while (i < beatTimes.length - 2 && beatTimes[i + 1] <= time) i++;
+                return i + (time - beatTimes[i]) / (beatTimes[i + 1] - beatTimes[i]);
+            };
+            const fromBeatPosition = (position) => {
+                if (beatTimes.length < 2) return position * beatInterval;
+                const i = Math.max(0, Math.min(beatTimes.length - 2, Math.floor(position)));
+                return beatTimes[i] + (position - i) * (beatTimes[i + 1] - beatTimes[i]);
+            };
+            const notesInSection = (section) => notes.filter(n => {
+                const end = n.type === 'slide' ? n.time + n.duration : n.time;
+                return n.time >= section.start * 1000 && end < (section.start + section.duration) * 1000;
+            });
+
+            repeats.forEach((match, j) => {
+                if (!match) return;
+                const source = orderedSections[match.source];
+                const target = orderedSections[j];
+                const sourceNotes = notesInSection(source);
+                if (sourceNotes.length === 0) return;
+
+                const targetStart = target.start * 1000;
+                const targetEnd = (target.start + target.duration) * 1000;
+                const shift = Math.round(toBeatPosition(targetStart)) - Math.round(toBeatPosition(source.start * 1000));
+                const mirror = rng() < REPEAT_MIRROR_CHANCE;
+
+                // Replace whatever was generated for the repeat
+                for (let k = notes.length - 1; k >= 0; k--) {
+                    if (notes[k].time >= targetStart && notes[k].time < targetEnd) notes.splice(k, 1);
+                }
+
+                sourceNotes.forEach(note => {
+                    const time = fromBeatPosition(toBeatPosition(note.time) + shift);
+                    if (time < targetStart || time >= targetEnd) return;
+                    const copy = { ...note, id: `${note.id}-rep${j}`, time, lane: mirror ? LANES - 1 - note.lane : note.lane, isRepeat: true };
+                    if (note.type === 'slide') {
+                        const end = fromBeatPosition(toBeatPosition(note.time + note.duration) + shift);
+                        copy.duration = Math.max(1, end - time);
+                        if (time + copy.duration >= targetEnd) return;
+                    }
+                    notes.push(copy);
+                });
+            });
+        }
+
+        // Sort notes by time
+        notes.sort((a, b) => a.time - b.time);
+
+        // Filter out notes in the first second
+        const filteredNotes = notes.filter(note => note.time >= MIN_NOTE_TIME);
+
+        // Snap all notes to the tatum grid for tight timing that still follows swing and triplets.
+        // Analyses without tatums fall back to a fixed BPM grid.
+        const tatumGrid = buildTatumGrid(analysis.tatums, gridSnap);
+        if (tatumGrid) {
+            filteredNotes.forEach(note => {
+                note.time = snapToGrid(note.time, tatumGrid);
+            });
+        } else {
+            // A tatum is usually half a beat
+            const gridSize = beatInterval / (gridSnap * 2);
+
+            filteredNotes.forEach(note => {
+                const beatPosition = note.time / gridSize;
+                const snappedBeatPosition = Math.round(beatPosition);
+                const snappedTime = snappedBeatPosition * gridSize;
+
+                // Snap if within half grid size
+                if (Math.abs(note.time - snappedTime) < gridSize / 2) {
+                    note.time = snappedTime;
+                }
+            });
+        }
+
+        // Synchronize near-simultaneous notes to create clean chords
+        for (let i = 0; i < filteredNotes.length; i++) {
+            const baseNote = filteredNotes[i];
+            if (baseNote.type === 'slide') continue;
+
+            for (let j = i + 1; j < filteredNotes.length; j++) {
+                const compareNote = filteredNotes[j];
+                if (compareNote.type === 'slide') continue;
+
+                const timeDiff = Math.abs(compareNote.time - baseNote.time);
+                if (timeDiff <= NOTE_SYNC_THRESHOLD && compareNote.lane !== baseNote.lane) {
+                    compareNote.time = baseNote.time;
+                } else if (timeDiff > NOTE_SYNC_THRESHOLD) {
+                    break;
+                }
+            }
+        }
+
+        // LIMIT: Maximum simultaneous notes - spread excess into rapid sequence
+        filteredNotes.sort((a, b) => a.time - b.time);
+        const simultaneousGroups = new Map();
+        
+        filteredNotes.forEach((note, idx) => {
+            if (note.type === 'slide') return;
+            const timeKey = Math.round(note.time);
+            if (!simultaneousGroups.has(timeKey)) {
+                simultaneousGroups.set(timeKey, []);
+            }
+            simultaneousGroups.get(timeKey).push({ note, idx });
+        });
+        
+        // Spread notes if more than maxSimultaneous
+        const spreadInterval = diff.stars >= 8 ? 50 : (diff.stars >= 6 ? 70 : 90);
+        simultaneousGroups.forEach((group) => {
+            if (group.length > maxSimultaneous) {
+                // Keep the first ones, spread the rest into rapid sequence
+                group.slice(maxSimultaneous).forEach((item, i) => {
+                    item.note.time += (i + 1) * spreadInterval;
+                    item.note.isRapidSeq = true; // Mark as part of rapid sequence
+                });
+            }
+        });
+
+        // Ensure minimum gap between notes for playability
+        // Gap decreases at higher difficulties for faster patterns
+        filteredNotes.sort((a, b) => a.time - b.time || a.lane - b.lane);
+
+        const lastNoteTimePerLane = {};
+        const notesToRemove = new Set();
+
+        filteredNotes.forEach((note, index) => {
+            const lane = note.lane;
+            const lastTime = lastNoteTimePerLane[lane];
+
+            if (lastTime !== undefined) {
+                const gap = note.time - lastTime;
+                const requiredGap = note.type === 'slide' ? MIN_SLIDE_END_GAP : dynamicMinGap;
+
+                if (gap < requiredGap && gap > 0) {
+                    notesToRemove.add(index);
+                    return;
+                }
+            }
+
+            // Update last time for this lane
+            if (note.type === 'slide') {
+                lastNoteTimePerLane[lane] = note.time + note.duration + MIN_SLIDE_END_GAP;
+            } else {
+                lastNoteTimePerLane[lane] = note.time;
+            }
+        });
+
+        // Remove notes that are too close
+        let playableNotes = filteredNotes.filter((_, index) => !notesToRemove.has(index));
+
+        const isHalfMode = modifiers.half;
+        const finishNotes = (list) => {
+            // Hand model: balanced hands, capped one-hand runs, no chords a hand can't physically press
+            let finished = applyHandErgonomics(list, LANES, {
+                minGap: dynamicMinGap,
+                maxConsecutive: getMaxConsecutivePerHand(diff.stars)
+            });
+
+            // Half mode: only keep notes in the first 50% of the song
+            if (isHalfMode && analysis.track?.duration) {
+                const halfDuration = (analysis.track.duration * 1000) * 0.5;
+                finished = finished.filter(note => {
+                    const noteEndTime = note.type === 'slide' ? note.time + note.duration : note.time;
+                    return noteEndTime <= halfDuration;
+                });
+            }
+
+            // Last line of defence: whatever the steps above let through is listed and repaired
+            return repairChart(finished, {
+                keyMode: LANES,
+                minGap: dynamicMinGap,
+                maxSimultaneous,
+                startTime: MIN_NOTE_TIME,
+                endTime: isHalfMode && track.duration ? track.duration * 1000 * 0.5 : (track.duration || 0) * 1000
+            });
+        };
+
+        // Target NPS: density follows the player's target instead of the beat count, so slow and
+        // fast songs on the same difficulty feel alike. An explicit option wins over the difficulty's own.
+        // Fit, finish, and fit again what the hand model and repair dropped until the average holds.
+        const targetNps = options.targetNps || diff.targetNps;
+        let { notes: checkedNotes, fixes } = finishNotes(playableNotes);
+        if (targetNps?.avg > 0) {
+            const playEnd = (track.duration || 0) * 1000 * (isHalfMode ? 0.5 : 1);
+            const wanted = targetNps.avg * (playEnd - MIN_NOTE_TIME) / 1000;
+            let fitted = playableNotes;
+            for (let pass = 0; pass < TARGET_NPS_PASSES; pass++) {
+                fitted = fitToTargetNps(fitted, targetNps, MIN_NOTE_TIME, playEnd, pass);
+                const finished = finishNotes(fitted);
+                checkedNotes = finished.notes;
+                fixes = pass === 0 ? finished.fixes : fixes.concat(finished.fixes);
+                fitted = checkedNotes;
+                if (Math.abs(checkedNotes.length - wanted) <= wanted * TARGET_NPS_TOLERANCE) break;
+            }
+        }
+
+        return {
+            version: ENGINE_VERSION,
+            seed: seed,
+            trackId: options.trackId || null,
+            keyMode: LANES,
+            difficulty: describeDifficulty(diff),
+            duration: (track.duration || 0) * 1000,
+            targetNps: targetNps?.avg > 0 ? { avg: targetNps.avg, peak: targetNps.peak } : null,
+            notes: checkedNotes,
+            fixes
+        };
+    }
+
+    // ====== CHART VALIDATION ======
+    const CHART_RULES = {
+        OVERLAP: 'overlap',           // A note starts inside a slide (or on another note) in the same lane
+        MIN_GAP: 'min-gap',           // Same-lane notes, or crowded rows, closer than the minimum gap
+        SIMULTANEOUS: 'simultaneous', // More notes in one row than allowed
+        RANGE: 'range'                // Lane outside the key mode or time outside the playable range
+    };
+
+    // Walk the chart row by row and check every note against the rules.
+    // rules: { keyMode, minGap, maxSimultaneous, startTime, endTime } - endTime 0 means no limit.
+    // With `repair`, offending notes are dropped (or slides trimmed) so later checks see the repaired chart.
+    // Returns { notes, violations }; each violation is { rule, time, lane, noteId, message, action }.
+    function scanChart(notes, rules, repair) {
+        const keyMode = rules.keyMode;
+        const minGap = rules.minGap ?? MIN_NOTE_GAP;
+        const maxSimultaneous = rules.maxSimultaneous ?? DEFAULT_MAX_SIMULTANEOUS;
+        const startTime = rules.startTime ?? 0;
+        const endTime = rules.endTime || Infinity;
+
+        const violations = [];
+        const kept = [];
+        const lastInLane = {}; // lane -> { time, end, note }
+        let lastRow = null;    // { time, size, hasRapid }
+
+        const sorted = [...notes].sort((a, b) => a.time - b.time || (a.type === 'slide' ? -1 : 1) - (b.type === 'slide' ? -1 : 1));
+        const report = (rule, note, message, action) => {
+            violations.push({ rule, time: note.time, lane: note.lane, noteId: note.id, message, action });
+        };
+
+        let i = 0;
+        while (i < sorted.length) {
+            const rowTime = sorted[i].time;
+            const rowNotes = [];
+            while (i < sorted.length && sorted[i].time === rowTime) rowNotes.push(sorted[i++]);
+
+            const accepted = [];
+            rowNotes.forEach(original => {
+                let note = original;
+                const reject = (rule, message) => {
+                    report(rule, note, message, 'removed');
+                    return repair;
+                };
+
+                // Playable range
+                if (!Number.isInteger(note.lane) || note.lane < 0 || note.lane >= keyMode) {
+                    if (reject(CHART_RULES.RANGE, `lane ${note.lane + 1} does not exist in ${keyMode}K`)) return;
+                }
+                if (!Number.isFinite(note.time) || note.time < startTime || note.time > endTime) {
+                    if (reject(CHART_RULES.RANGE, 'outside the playable range')) return;
+                }
+                if (note.type === 'slide' && note.time + note.duration > endTime) {
+                    if (endTime - note.time < MIN_SLIDE_END_GAP) {
+                        if (reject(CHART_RULES.RANGE, 'slide ends after the playable range')) return;
+                    } else {
+                        report(CHART_RULES.RANGE, note, 'slide ends after the playable range', 'trimmed');
+                        if (repair) note = { ...note, duration: endTime - note.time };
+                    }
+                }
+
+                // Same lane: under a slide, or too soon after the previous note
+                const previous = lastInLane[note.lane];
+                if (previous) {
+                    if (note.time <= previous.end && (previous.note.type === 'slide' || note.time === previous.time)) {
+                        if (reject(CHART_RULES.OVERLAP, previous.note.type === 'slide' ? 'hidden under a slide' : 'duplicate note')) return;
+                    } else {
+                        const requiredGap = previous.note.type === 'slide' || note.type === 'slide' ? MIN_SLIDE_END_GAP : minGap;
+                        const gap = Math.round(note.time - previous.end);
+                        if (gap < requiredGap) {
+                            if (reject(CHART_RULES.MIN_GAP, `${gap}ms after the previous note in this lane (min ${requiredGap}ms)`)) return;
+                        }
+                    }
+                }
+
+                // Row size
+                if (accepted.length >= maxSimultaneous) {
+                    if (reject(CHART_RULES.SIMULTANEOUS, `more than ${maxSimultaneous} notes at once`)) return;
+                }
+
+                accepted.push(note);
+            });
+
+            // A chord right next to a rapid run (or a run right after a chord) is unplayable even across lanes
+            if (lastRow && accepted.length > 0 && rowTime - lastRow.time < minGap && lastRow.size + accepted.length > maxSimultaneous &&
+                (lastRow.hasRapid || accepted.some(n => n.isRapidSeq || n.isBurst))) {
+                const keep = Math.max(0, maxSimultaneous - lastRow.size);
+                accepted.slice(keep).forEach(note => {
+                    report(CHART_RULES.MIN_GAP, note, `crowds the row ${Math.round(rowTime - lastRow.time)}ms before it`, 'removed');
+                });
+                if (repair) accepted.splice(keep);
+            }
+
+            accepted.forEach(note => {
+                kept.push(note);
+                lastInLane[note.lane] = { time: note.time, end: note.type === 'slide' ? note.time + note.duration : note.time, note };
+            });
+            if (accepted.length > 0) {
+                lastRow = { time: rowTime, size: accepted.length, hasRapid: accepted.some(n => n.isRapidSeq || n.isBurst) };
+            }
+        }
+
+        return { notes: repair ? kept : sorted, violations };
+    }
+
+    // List every rule violation without changing the chart
+    function validateChart(notes, rules) {
+        return scanChart(notes, rules, false).violations;
+    }
+
+    // Drop or trim offending notes. `fixes` lists what was changed, in chart order.
+    function repairChart(notes, rules) {
+        const { notes: repaired, violations } = scanChart(notes, rules, true);
+        return { notes: repaired, fixes: violations };
+    }
+
+    // ====== DIFFICULTY RATING ======
+    // Notes closer than this count as one chord (ms)
+    const RATING_CHORD_WINDOW = 20;
+    // Window for peak notes-per-second (ms)
+    const RATING_PEAK_WINDOW = 1000;
+    // Same-lane repeats faster than this are jacks (ms)
+    const RATING_JACK_GAP = 250;
+    // Consecutive hits faster than this are part of a burst/stream (ms)
+    const RATING_BURST_GAP = 125;
+
+    // Rate a chart by what it actually contains rather than by the generator settings
+    // that produced it. Works for generated and imported charts alike.
+    function rateChart(chart) {
+        const notes = [...(chart?.notes || [])].sort((a, b) => a.time - b.time);
+        const empty = { rating: 0, avgNps: 0, peakNps: 0, jackDensity: 0, chordFrequency: 0, burstFrequency: 0, slideOverlap: 0 };
+        if (notes.length < 2) return empty;
+
+        // Density - average over the played span, peak over a sliding window
+        const span = Math.max(1000, notes[notes.length - 1].time - notes[0].time);
+        const avgNps = notes.length / (span / 1000);
+        let peakCount = 0;
+        for (let i = 0, j = 0; i < notes.length; i++) {
+            while (notes[i].time - notes[j].time >= RATING_PEAK_WINDOW) j++;
+            peakCount = Math.max(peakCount, i - j + 1);
+        }
+        const peakNps = peakCount / (RATING_PEAK_WINDOW / 1000);
+
+        // Group simultaneous notes into rows
+        const rows = [];
+        notes.forEach(note => {
+            const row = rows[rows.length - 1];
+            if (row && note.time - row.time <= RATING_CHORD_WINDOW) row.count++;
+            else rows.push({ time: note.time, count: 1 });
+        });
+        const chordFrequency = rows.filter(r => r.count > 1).length / rows.length;
+
+        let burstRows = 0;
+        for (let i = 1; i < rows.length; i++) {
+            if (rows[i].time - rows[i - 1].time < RATING_BURST_GAP) burstRows++;
+        }
+        const burstFrequency = burstRows / rows.length;
+
+        // Jacks - fast repeats in the same lane
+        const lastInLane = {};
+        let jacks = 0;
+        notes.forEach(note => {
+            const prevEnd = lastInLane[note.lane];
+            if (prevEnd !== undefined && note.time - prevEnd < RATING_JACK_GAP) jacks++;
+            lastInLane[note.lane] = note.type === 'slide' ? note.time + note.duration : note.time;
+        });
+        const jackDensity = jacks / notes.length;
+
+        // Slide overlap - notes that must be hit while another lane is held
+        const slides = notes.filter(n => n.type === 'slide');
+        const overlapped = notes.filter(note => slides.some(s =>
+            s.lane !== note.lane && note.time > s.time + RATING_CHORD_WINDOW && note.time < s.time + s.duration
+        )).length;
+        const slideOverlap = overlapped / notes.length;
+
+        // Density sets the base; pattern features scale it up
+        const strain = avgNps * 0.6 + peakNps * 0.4;
+        const multiplier = 1 + jackDensity * 0.6 + chordFrequency * 0.3 + burstFrequency * 0.4 + slideOverlap * 0.3;
+        const round = (v, places = 2) => Math.round(v * 10 ** places) / 10 ** places;
+
+        return {
+            rating: round(strain * multiplier, 1),
+            avgNps: round(avgNps),
+            peakNps: round(peakNps),
+            jackDensity: round(jackDensity),
+            chordFrequency: round(chordFrequency),
+            burstFrequency: round(burstFrequency),
+            slideOverlap: round(slideOverlap)
+        };
+    }
+
+    return {
+        ENGINE_VERSION,
+        NOTE_SYNC_THRESHOLD,
+        MIN_NOTE_TIME,
+        MIN_NOTE_GAP,
+        MIN_SLIDE_END_GAP,
+        hashSeed,
+        createRng,
+        getChartSeed,
+        formatSeed,
+        TEMPO_MULTIPLIERS,
+        detectTempoMultiplier,
+        applyTempoCorrection,
+        getTempoMultiplier,
+        LANE_MAPPING_STYLES,
+        DEFAULT_MAX_SIMULTANEOUS,
+        getDefaultMinNoteGap,
+        getDefaultGridSnap,
+        PATTERN_NAMES,
+        getDefaultPatterns,
+        getHandLayout,
+        applyHandErgonomics,
+        generateChart,
+        clusterSegmentsByTimbre,
+        findRepeatedSections,
+        CHART_RULES,
+        validateChart,
+        repairChart,
+        rateChart
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RhythmChartEngine;
+}
@@ -0,0 +1,504 @@
+// ====== RHYTHM BEAT CHART FORMATS ======
+// Conversion between chart objects (see chart-engine.js) and chart files.
+// Like the engine this has no React or Spicetify dependency and can be
+// required from Node:
+//
+//   const RhythmChartFormats = require('./chart-formats.js');
+//   const chart = RhythmChartFormats.parseChart(fs.readFileSync('song.rbchart.json', 'utf8'));
+var RhythmChartFormats = (() => {
+    const CHART_FORMAT = 'rhythm-beat-chart';
+    const CHART_FORMAT_VERSION = 1;
+    const CHART_FILE_EXTENSION = '.rbchart.json';
+    const SUPPORTED_KEY_MODES = [4, 6, 8];
+
+    const DEFAULT_IMPORT_DIFFICULTY = { name: 'IMPORTED', stars: 5, color: '#00B4FF' };
+
+    const roundTime = (ms) => Math.round(ms * 10) / 10;
+
+    // ====== NATIVE JSON FORMAT ======
+    // Serialize a chart object to the native JSON chart file
+    function serializeChart(chart, meta = {}) {
+        const file = {
+            format: CHART_FORMAT,
+            formatVersion: CHART_FORMAT_VERSION,
+            keyMode: chart.keyMode,
+            track: {
+                id: chart.trackId || null,
+                name: meta.title || chart.title || null,
+                artist: meta.artist || chart.artist || null
+            },
+            difficulty: {
+                name: chart.difficulty?.name || DEFAULT_IMPORT_DIFFICULTY.name,
+                stars: chart.difficulty?.stars || DEFAULT_IMPORT_DIFFICULTY.stars,
+                color: chart.difficulty?.color || DEFAULT_IMPORT_DIFFICULTY.color
+            },
+            // Generator info is kept so a generated chart can be traced back to its engine version and seed
+            generator: chart.version != null ? { version: chart.version, seed: chart.seed } : null,
+            // Shift (ms) applied to every note at play time, for charts timed against a different audio source
+            offset: chart.offset || 0,
+            duration: roundTime(chart.duration || 0),
+            notes: chart.notes.map(note => note.type === 'slide'
+                ? { type: 'slide', lane: note.lane, time: roundTime(note.time), duration: roundTime(note.duration) }
+                : { type: 'tap', lane: note.lane, time: roundTime(note.time) }
+            )
+        };
+        return JSON.stringify(file, null, 2);
+    }
+
+    // Parse a native JSON chart file - throws with a readable message when the file is invalid
+    function parseChart(text) {
+        let file;
+        try {
+            file = typeof text === 'string' ? JSON.parse(text) : text;
+        } catch (e) {
+            throw new Error('Chart file is not valid JSON');
+        }
+        if (!file || file.format !== CHART_FORMAT) {
+            throw new Error('Not a Rhythm Beat chart file');
+        }
+        if (!(file.formatVersion <= CHART_FORMAT_VERSION)) {
+            throw new Error(`Chart format version ${file.formatVersion} is newer than supported (${CHART_FORMAT_VERSION})`);
+        }
+
+        return {
+            version: file.generator?.version ?? null,
+            seed: file.generator?.seed ?? null,
+            trackId: file.track?.id || null,
+            title: file.track?.name || null,
+            artist: file.track?.artist || null,
+            keyMode: file.keyMode,
+            difficulty: normalizeDifficulty(file.difficulty),
+            offset: Number(file.offset) || 0,
+            duration: file.duration || 0,
+            notes: normalizeNotes(file.notes, file.keyMode)
+        };
+    }
+
+    // Imported difficulty metadata is only used for display and score keys
+    function normalizeDifficulty(difficulty = {}) {
+        const stars = Math.round(Number(difficulty.stars) || DEFAULT_IMPORT_DIFFICULTY.stars);
+        return {
+            name: String(difficulty.name || DEFAULT_IMPORT_DIFFICULTY.name).slice(0, 40),
+            stars: Math.max(1, Math.min(10, stars)),
+            color: /^#[0-9a-f]{6}$/i.test(difficulty.color) ? difficulty.color : DEFAULT_IMPORT_DIFFICULTY.color
+        };
+    }
+
+    // Validate notes against the key mode, sort them and give them stable ids
+    function normalizeNotes(notes, keyMode) {
+        if (!SUPPORTED_KEY_MODES.includes(keyMode)) {
+            throw new Error(`Unsupported key mode: ${keyMode}K (supported: ${SUPPORTED_KEY_MODES.join('/')}K)`);
+        }
+        if (!Array.isArray(notes)) {
+            throw new Error('Chart has no note list');
+        }
+
+        return notes
+            .map((note, i) => {
+                const isSlide = note.type === 'slide';
+                if (note.type !== 'tap' && !isSlide) {
+                    throw new Error(`Note ${i}: unknown type "${note.type}"`);
+                }
+                if (!Number.isInteger(note.lane) || note.lane < 0 || note.lane >= keyMode) {
+                    throw new Error(`Note ${i}: lane ${note.lane} is outside ${keyMode}K`);
+                }
+                if (!Number.isFinite(note.time) || note.time < 0) {
+                    throw new Error(`Note ${i}: invalid time ${note.time}`);
+                }
+                if (isSlide && !(Number.isFinite(note.duration) && note.duration > 0)) {
+                    throw new Error(`Note ${i}: slide needs a positive duration`);
+                }
+                return isSlide
+                    ? { type: 'slide', lane: note.lane, time: note.time, duration: note.duration }
+                    : { type: 'tap', lane: note.lane, time: note.time };
+            })
+            .sort((a, b) => a.time - b.time || a.lane - b.lane)
+            .map((note, i) => ({ id: `import-${i}`, ...note }));
+    }
+
+    // ====== OSU!MANIA (.osu) ======
+    // Split an .osu file into its [Section] blocks of trimmed, non-comment lines
+    function splitOsuSections(text) {
+        const sections = {};
+        let current = null;
+        text.split(/\r?\n/).forEach(rawLine => {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('//')) return;
+            const header = line.match(/^\[(\w+)\]$/);
+            if (header) {
+                current = header[1];
+                sections[current] = [];
+            } else if (current) {
+                sections[current].push(line);
+            }
+        });
+        return sections;
+    }
+
+    // Parse "Key: Value" lines of an .osu section into an object
+    function parseOsuKeyValues(lines = []) {
+        const values = {};
+        lines.forEach(line => {
+            const index = line.indexOf(':');
+            if (index > 0) values[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+        });
+        return values;
+    }
+
+    // Convert an osu!mania beatmap into a chart - circles become taps, hold notes become slides
+    function parseOsuMania(text) {
+        if (!/^\s*(\uFEFF)?osu file format v\d+/.test(text)) {
+            throw new Error('Not an osu! beatmap (.osu) file');
+        }
+        const sections = splitOsuSections(text);
+        const general = parseOsuKeyValues(sections.General);
+        const metadata = parseOsuKeyValues(sections.Metadata);
+        const difficulty = parseOsuKeyValues(sections.Difficulty);
+
+        if (general.Mode !== '3') {
+            throw new Error('Only osu!mania beatmaps (Mode: 3) can be imported');
+        }
+        const keyMode = Math.round(Number(difficulty.CircleSize));
+        if (!SUPPORTED_KEY_MODES.includes(keyMode)) {
+            throw new Error(`${keyMode}K beatmaps are not supported (supported: ${SUPPORTED_KEY_MODES.join('/')}K)`);
+        }
+
+        const notes = (sections.HitObjects || []).map((line, i) => {
+            const parts = line.split(',');
+            const x = Number(parts[0]);
+            const time = Number(parts[2]);
+            const type = Number(parts[3]);
+            if (!Number.isFinite(x) || !Number.isFinite(time) || !Number.isFinite(type)) {
+                throw new Error(`Hit object ${i}: cannot parse "${line}"`);
+            }
+            // Mania column from the x position: floor(x * columns / 512)
+            const lane = Math.max(0, Math.min(keyMode - 1, Math.floor(x * keyMode / 512)));
+            // Type bit 7 = hold note, whose end time is the first value of objectParams
+            if (type & 128) {
+                const endTime = Number((parts[5] || '').split(':')[0]);
+                if (Number.isFinite(endTime) && endTime > time) {
+                    return { type: 'slide', lane: lane, time: Math.max(0, time), duration: endTime - time };
+                }
+            }
+            return { type: 'tap', lane: lane, time: Math.max(0, time) };
+        });
+
+        const overallDifficulty = Number(difficulty.OverallDifficulty);
+        const normalizedNotes = normalizeNotes(notes, keyMode);
+        const lastNote = normalizedNotes[normalizedNotes.length - 1];
+
+        return {
+            version: null,
+            seed: null,
+            trackId: null,
+            title: metadata.TitleUnicode || metadata.Title || null,
+            artist: metadata.ArtistUnicode || metadata.Artist || null,
+            keyMode: keyMode,
+            difficulty: normalizeDifficulty({
+                name: metadata.Version || 'OSU!MANIA',
+                stars: Number.isFinite(overallDifficulty) ? overallDifficulty : undefined,
+                color: '#FF66AA'
+            }),
+            offset: 0,
+            duration: lastNote ? lastNote.time + (lastNote.duration || 0) : 0,
+            notes: normalizedNotes
+        };
+    }
+
+    // Derive uninherited timing points from the analysis: start at track.tempo on the first bar,
+    // then re-anchor wherever the bars show a sustained tempo change or drift off the grid
+    function buildOsuTimingPoints(analysis) {
+        const track = analysis?.track || {};
+        const meter = track.time_signature || 4;
+        const bars = (analysis?.bars || []).filter(bar => bar.duration > 0);
+        const firstBeat = analysis?.beats?.[0]?.start || 0;
+        let beatLength = 60000 / (track.tempo || 120);
+        let anchor = (bars[0]?.start ?? firstBeat) * 1000;
+        const points = [{ time: anchor, beatLength }];
+
+        bars.forEach((bar, i) => {
+            const barStart = bar.start * 1000;
+            const barBeatLength = (bar.duration * 1000) / meter;
+            const nextBar = bars[i + 1];
+            const nextBeatLength = nextBar ? (nextBar.duration * 1000) / meter : barBeatLength;
+            // A tempo change only counts when the following bar agrees with it
+            const tempoChanged = Math.abs(barBeatLength - beatLength) / beatLength > 0.04 &&
+                Math.abs(nextBeatLength - barBeatLength) / barBeatLength < 0.02;
+            const beatsFromAnchor = (barStart - anchor) / beatLength;
+            const drift = Math.abs(beatsFromAnchor - Math.round(beatsFromAnchor)) * beatLength;
+
+            if (tempoChanged || drift > 15) {
+                if (tempoChanged) beatLength = barBeatLength;
+                anchor = barStart;
+                points.push({ time: anchor, beatLength });
+            }
+        });
+
+        return points.map(point => `${Math.round(point.time)},${point.beatLength.toFixed(6)},${meter},1,0,70,1,0`);
+    }
+
+    // Serialize a chart as an osu!mania beatmap - taps become circles, slides become hold notes
+    function serializeOsuMania(chart, meta = {}) {
+        const keyMode = chart.keyMode;
+        const offset = chart.offset || 0;
+        const title = meta.title || chart.title || 'Unknown';
+        const artist = meta.artist || chart.artist || 'Unknown';
+        const stars = chart.difficulty?.stars || DEFAULT_IMPORT_DIFFICULTY.stars;
+        const tags = ['rhythm-beat'];
+        if (chart.trackId) tags.push(`spotify:${chart.trackId}`);
+        if (chart.seed != null) tags.push(`seed:${chart.seed}`);
+
+        // Column centre x: floor(512 * (lane + 0.5) / columns)
+        const columnX = (lane) => Math.floor((512 * (lane + 0.5)) / keyMode);
+        const hitObjects = chart.notes.map(note => {
+            const time = Math.round(note.time + offset);
+            if (note.type === 'slide') {
+                return `${columnX(note.lane)},192,${time},128,0,${Math.round(note.time + note.duration + offset)}:0:0:0:0:`;
+            }
+            return `${columnX(note.lane)},192,${time},1,0,0:0:0:0:`;
+        });
+
+        return [
+            'osu file format v14',
+            '',
+            '[General]',
+            'AudioFilename: audio.mp3',
+            'AudioLeadIn: 0',
+            'PreviewTime: -1',
+            'Countdown: 0',
+            'SampleSet: Soft',
+            'StackLeniency: 0.7',
+            'Mode: 3',
+            'LetterboxInBreaks: 0',
+            'SpecialStyle: 0',
+            'WidescreenStoryboard: 0',
+            '',
+            '[Editor]',
+            'DistanceSpacing: 1',
+            'BeatDivisor: 4',
+            'GridSize: 4',
+            'TimelineZoom: 1',
+            '',
+            '[Metadata]',
+            `Title:${title}`,
+            `TitleUnicode:${title}`,
+            `Artist:${artist}`,
+            `ArtistUnicode:${artist}`,
+            'Creator:Rhythm Beat',
+            `Version:${chart.difficulty?.name || DEFAULT_IMPORT_DIFFICULTY.name}`,
+            'Source:Spotify',
+            `Tags:${tags.join(' ')}`,
+            'BeatmapID:0',
+            'BeatmapSetID:-1',
+            '',
+            '[Difficulty]',
+            'HPDrainRate:7',
+            `CircleSize:${keyMode}`,
+            `OverallDifficulty:${Math.min(10, stars)}`,
+            'ApproachRate:5',
+            'SliderMultiplier:1.4',
+            'SliderTickRate:1',
+            '',
+            '[Events]',
+            '//Background and Video events',
+            '//Break Periods',
+            '',
+            '[TimingPoints]',
+            ...buildOsuTimingPoints(meta.analysis),
+            '',
+            '',
+            '[HitObjects]',
+            ...hitObjects,
+            ''
+        ].join('\r\n');
+    }
+
+    // ====== STEPMANIA (.sm / .ssc) ======
+    // StepMania steps types we can map onto our key modes
+    const STEPMANIA_STEPS_TYPES = {
+        'dance-single': 4,
+        'dance-double': 8
+    };
+
+    // Split a .sm/.ssc file into an ordered list of #TAG:value; pairs
+    function parseStepManiaTags(text) {
+        const withoutComments = text.replace(/\/\/[^\n]*/g, '');
+        const tags = [];
+        const tagPattern = /#([A-Za-z0-9_]+)\s*:([^;]*);/g;
+        let match;
+        while ((match = tagPattern.exec(withoutComments)) !== null) {
+            tags.push({ name: match[1].toUpperCase(), value: match[2].trim() });
+        }
+        return tags;
+    }
+
+    // Parse "beat=value,beat=value" timing lists (#BPMS, #STOPS, #DELAYS)
+    function parseBeatValueList(value) {
+        if (!value) return [];
+        return value.split(',')
+            .map(pair => pair.split('=').map(Number))
+            .filter(([beat, amount]) => Number.isFinite(beat) && Number.isFinite(amount))
+            .map(([beat, amount]) => ({ beat, value: amount }))
+            .sort((a, b) => a.beat - b.beat);
+    }
+
+    // Files store beats to 3 decimals while rows give exact fractions (#STOPS:1.333 vs row 4 of 12),
+    // so beats this close count as the same one
+    const BEAT_EPSILON = 1e-3;
+
+    // Build a beat -> ms converter through the whole BPM / stop / delay timeline.
+    // Beat 0 sits at -#OFFSET seconds; stops pause after notes on their beat, delays before them.
+    function createBeatTimeline(offsetSeconds, bpms, stops, delays) {
+        if (bpms.length === 0) throw new Error('Chart has no #BPMS');
+        if (bpms.some(b => b.value <= 0)) throw new Error('Negative or zero BPMs (warps) are not supported');
+
+        return (beat) => {
+            let time = -offsetSeconds * 1000;
+            for (let i = 0; i < bpms.length; i++) {
+                const segmentStart = i === 0 ? 0 : bpms[i].beat;
+                const segmentEnd = i + 1 < bpms.length ? bpms[i + 1].beat : Infinity;
+                if (beat <= segmentStart) break;
+                time += (Math.min(beat, segmentEnd) - segmentStart) * 60000 / bpms[i].value;
+            }
+            stops.forEach(stop => { if (stop.beat < beat - BEAT_EPSILON) time += stop.value * 1000; });
+            delays.forEach(delay => { if (delay.beat <= beat + BEAT_EPSILON) time += delay.value * 1000; });
+            return time;
+        };
+    }
+
+    // Convert one #NOTES block into tap/slide notes - holds (2) and rolls (4) become slides
+    function parseStepManiaNotes(noteData, keyMode, beatToMs) {
+        const notes = [];
+        const openHolds = new Array(keyMode).fill(null);
+        const measures = noteData.split(',');
+
+        measures.forEach((measure, measureIndex) => {
+            const rows = measure.split(/\s+/).filter(row => row.length >= keyMode);
+            rows.forEach((row, rowIndex) => {
+                const beat = measureIndex * 4 + (rowIndex * 4) / rows.length;
+                for (let lane = 0; lane < keyMode; lane++) {
+                    const symbol = row[lane];
+                    if (symbol === '1' || symbol === 'L') {
+                        notes.push({ type: 'tap', lane, time: beatToMs(beat) });
+                    } else if (symbol === '2' || symbol === '4') {
+                        openHolds[lane] = beat;
+                    } else if (symbol === '3' && openHolds[lane] !== null) {
+                        const start = beatToMs(openHolds[lane]);
+                        notes.push({ type: 'slide', lane, time: start, duration: beatToMs(beat) - start });
+                        openHolds[lane] = null;
+                    }
+                    // 0 = empty, M = mine, F = fake, K = keysound - nothing to hit
+                }
+            });
+        });
+
+        // A hold head without a tail still deserves a tap
+        openHolds.forEach((beat, lane) => {
+            if (beat !== null) notes.push({ type: 'tap', lane, time: beatToMs(beat) });
+        });
+
+        return notes.filter(note => note.time >= 0 && (note.type === 'tap' || note.duration > 0));
+    }
+
+    // Convert a StepMania .sm or .ssc simfile into charts (one per dance-single/dance-double steps block)
+    function parseStepMania(text) {
+        const tags = parseStepManiaTags(text);
+        if (tags.length === 0) throw new Error('Not a StepMania simfile');
+
+        const header = {};
+        const blocks = [];
+        let currentBlock = null;
+
+        tags.forEach(tag => {
+            if (tag.name === 'NOTEDATA') {
+                // .ssc: every steps block starts with #NOTEDATA and may carry its own timing tags
+                currentBlock = {};
+                blocks.push(currentBlock);
+            } else if (tag.name === 'NOTES' && !currentBlock) {
+                // .sm: type:description:difficulty:meter:radar:notes
+                const fields = tag.value.split(':').map(f => f.trim());
+                if (fields.length >= 6) {
+                    blocks.push({
+                        STEPSTYPE: fields[0], DESCRIPTION: fields[1], DIFFICULTY: fields[2],
+                        METER: fields[3], NOTES: fields.slice(5).join(':')
+                    });
+                }
+            } else if (currentBlock) {
+                currentBlock[tag.name] = tag.value;
+            } else {
+                header[tag.name] = tag.value;
+            }
+        });
+
+        const charts = blocks
+            .filter(block => STEPMANIA_STEPS_TYPES[block.STEPSTYPE] && block.NOTES)
+            .map(block => {
+                const keyMode = STEPMANIA_STEPS_TYPES[block.STEPSTYPE];
+                const beatToMs = createBeatTimeline(
+                    Number(block.OFFSET ?? header.OFFSET) || 0,
+                    parseBeatValueList(block.BPMS ?? header.BPMS),
+                    parseBeatValueList(block.STOPS ?? header.STOPS ?? header.FREEZES),
+                    parseBeatValueList(block.DELAYS ?? header.DELAYS)
+                );
+                const notes = normalizeNotes(parseStepManiaNotes(block.NOTES, keyMode, beatToMs), keyMode);
+                const lastNote = notes[notes.length - 1];
+                const difficultyName = (block.DIFFICULTY || 'Edit').toUpperCase();
+
+                return {
+                    version: null,
+                    seed: null,
+                    trackId: null,
+                    title: header.TITLE || null,
+                    artist: header.ARTIST || null,
+                    keyMode: keyMode,
+                    difficulty: normalizeDifficulty({
+                        name: block.DESCRIPTION && block.DIFFICULTY === 'Edit' ? block.DESCRIPTION : difficultyName,
+                        stars: Number(block.METER),
+                        color: '#FFB800'
+                    }),
+                    offset: 0,
+                    duration: lastNote ? lastNote.time + (lastNote.duration || 0) : 0,
+                    notes: notes
+                };
+            })
+            .filter(chart => chart.notes.length > 0);
+
+        if (charts.length === 0) {
+            throw new Error('No dance-single (4K) or dance-double (8K) charts found');
+        }
+        return charts;
+    }
+
+    // Pick a parser from the file name - returns every chart the file contains
+    function parseChartFile(fileName, text) {
+        if (/\.osu$/i.test(fileName)) return [parseOsuMania(text)];
+        if (/\.(sm|ssc)$/i.test(fileName)) return parseStepMania(text);
+        return [parseChart(text)];
+    }
+
+    // Build a download-safe file name for a chart
+    function getChartFileName(title, difficultyName, extension = CHART_FILE_EXTENSION) {
+        const safeTitle = (title || 'chart').replace(/[\\/:*?"<>|]+/g, '').trim() || 'chart';
+        return `${safeTitle} [${difficultyName || 'CHART'}]${extension}`;
+    }
+
+    return {
+        CHART_FORMAT,
+        CHART_FORMAT_VERSION,
+        CHART_FILE_EXTENSION,
+        SUPPORTED_KEY_MODES,
+        serializeChart,
+        parseChart,
+        parseOsuMania,
+        serializeOsuMania,
+        parseStepMania,
+        parseChartFile,
+        normalizeDifficulty,
+        normalizeNotes,
+        getChartFileName
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RhythmChartFormats;
+}
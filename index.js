@@ -28,22 +28,19 @@ var visualizer = (() => {
     const JUDGE_LINE_Y = 700;
     const NOTE_HEIGHT = 28;
 
-    // Timing windows (in ms)
-    const TIMING = {
-        PERFECT: 70,
-        GREAT: 140,
-        GOOD: 240,
-        MISS: 360
+    // Timing windows (in ms) per judge preset. EARLY/LATE bound how far before/after a note a key
+    // press still counts for it (beyond GOOD it is a MISS); a note nobody hit is missed MISS ms after it.
+    const JUDGE_PRESETS = {
+        EASY: { PERFECT: 90, GREAT: 180, GOOD: 300, MISS: 420, EARLY: 420, LATE: 420 },
+        NORMAL: { PERFECT: 70, GREAT: 140, GOOD: 240, MISS: 360, EARLY: 360, LATE: 360 },
+        HARD: { PERFECT: 45, GREAT: 90, GOOD: 160, MISS: 240, EARLY: 240, LATE: 200 },
+        EX: { PERFECT: 25, GREAT: 55, GOOD: 100, MISS: 160, EARLY: 160, LATE: 120 }
     };
+    const DEFAULT_JUDGE_PRESET = 'NORMAL';
 
-    // Note synchronization threshold (ms) - notes within this window will be synchronized
-    const NOTE_SYNC_THRESHOLD = 80;
-    // Minimum time before notes can appear (ms)
-    const MIN_NOTE_TIME = 1000;
-    // Minimum gap between notes in the same lane (ms) for playability
-    const MIN_NOTE_GAP = 150;
-    // Minimum gap after slide note ends before another note in same lane (ms)
-    const MIN_SLIDE_END_GAP = 200;
+    function getJudgeTiming(preset) {
+        return JUDGE_PRESETS[preset] || JUDGE_PRESETS[DEFAULT_JUDGE_PRESET];
+    }
 
     const SCORE_VALUES = {
         PERFECT: 1000,
@@ -52,6 +49,62 @@ var visualizer = (() => {
         MISS: 0
     };
 
+    // Normalized scoring: a perfect play of any chart is exactly MAX_SCORE, split between how well
+    // each note was hit and the longest combo. Scores saved before this have no `scoring` field.
+    const MAX_SCORE = 1000000;
+    const ACCURACY_SCORE = 900000;
+    const COMBO_SCORE = MAX_SCORE - ACCURACY_SCORE;
+    const SCORING_VERSION = 'normalized';
+
+    function getScoreBreakdown(judgements, maxCombo, totalNotes) {
+        if (!totalNotes) return { accuracy: 0, combo: 0, total: 0 };
+        const earned = Object.keys(SCORE_VALUES).reduce((sum, j) => sum + (judgements[j] || 0) * SCORE_VALUES[j], 0);
+        const accuracy = Math.floor(ACCURACY_SCORE * earned / (totalNotes * SCORE_VALUES.PERFECT));
+        const combo = Math.floor(COMBO_SCORE * Math.min(maxCombo, totalNotes) / totalNotes);
+        return { accuracy, combo, total: accuracy + combo };
+    }
+
+    function isLegacyScore(entry) {
+        return !!entry && entry.scoring !== SCORING_VERSION;
+    }
+
+    // Best to worst
+    const JUDGEMENT_ORDER = ['PERFECT', 'GREAT', 'GOOD', 'MISS'];
+
+    function getJudgementForOffset(absDiff, timing) {
+        if (absDiff <= timing.PERFECT) return 'PERFECT';
+        if (absDiff <= timing.GREAT) return 'GREAT';
+        if (absDiff <= timing.GOOD) return 'GOOD';
+        return 'MISS';
+    }
+
+    function getWorseJudgement(a, b) {
+        return JUDGEMENT_ORDER[Math.max(JUDGEMENT_ORDER.indexOf(a), JUDGEMENT_ORDER.indexOf(b))];
+    }
+
+    // Accuracy models: the share of the best judgement each one is worth. Slides count their head
+    // and tail separately here, though they are a single note for score and combo.
+    const ACCURACY_MODELS = {
+        WEIGHTED: { label: 'WEIGHTED', weights: { PERFECT: 100, GREAT: 70, GOOD: 40, MISS: 0 } },
+        EX: { label: 'EX SCORE', weights: { PERFECT: 2, GREAT: 1, GOOD: 0, MISS: 0 } }
+    };
+    const DEFAULT_ACCURACY_MODEL = 'WEIGHTED';
+
+    function getAccuracyModelKey(model) {
+        return ACCURACY_MODELS[model] ? model : DEFAULT_ACCURACY_MODEL;
+    }
+
+    // Percentage of the best possible result. `total` is the number of judgements the run can
+    // hold; left out, only the ones made so far count (the live HUD figure).
+    function getAccuracy(judgements, model, total) {
+        const weights = ACCURACY_MODELS[getAccuracyModelKey(model)].weights;
+        const judged = JUDGEMENT_ORDER.reduce((sum, j) => sum + (judgements[j] || 0), 0);
+        const count = total ?? judged;
+        if (!count) return 100;
+        const earned = JUDGEMENT_ORDER.reduce((sum, j) => sum + (judgements[j] || 0) * weights[j], 0);
+        return earned / (count * weights.PERFECT) * 100;
+    }
+
     // Difficulty settings - 10 levels with progressive challenge
     const DIFFICULTIES = [
         // ★1 BEGINNER - 입문자용, 아주 느린 패턴
@@ -61,19 +114,19 @@ var visualizer = (() => {
         // ★3 NORMAL - 보통, 약간의 밀도 증가
         { stars: 3, name: 'NORMAL', noteMultiplier: 0.40, segmentThreshold: 0.85, color: '#00B4FF', chordChance: 0.08, slideChance: 0.05, burstChance: 0 },
         // ★4 HARD - 어려움, 코드와 슬라이드 시작
-        { stars: 4, name: 'HARD', noteMultiplier: 0.55, segmentThreshold: 0.75, color: '#3399FF', chordChance: 0.15, slideChance: 0.12, burstChance: 0 },
+        { stars: 4, name: 'HARD', noteMultiplier: 0.55, segmentThreshold: 0.75, color: '#3399FF', chordChance: 0.15, slideChance: 0.12, burstChance: 0, laneMapping: 'timbre' },
         // ★5 EXPERT - 상급, 빠른 패턴 시작
-        { stars: 5, name: 'EXPERT', noteMultiplier: 0.70, segmentThreshold: 0.60, color: '#FFB800', chordChance: 0.25, slideChance: 0.20, burstChance: 0.08 },
+        { stars: 5, name: 'EXPERT', noteMultiplier: 0.70, segmentThreshold: 0.60, color: '#FFB800', chordChance: 0.25, slideChance: 0.20, burstChance: 0.08, laneMapping: 'timbre', patterns: ['stairs', 'reverseStairs', 'trills'] },
         // ★6 MASTER - 마스터, 본격적인 고난이도
-        { stars: 6, name: 'MASTER', noteMultiplier: 0.85, segmentThreshold: 0.45, color: '#FF9500', chordChance: 0.35, slideChance: 0.28, burstChance: 0.15 },
+        { stars: 6, name: 'MASTER', noteMultiplier: 0.85, segmentThreshold: 0.45, color: '#FF9500', chordChance: 0.35, slideChance: 0.28, burstChance: 0.15, laneMapping: 'timbre', patterns: ['stairs', 'reverseStairs', 'trills', 'rolls'] },
         // ★7 LUNATIC - 광기, 매우 빠르고 복잡한 패턴
-        { stars: 7, name: 'LUNATIC', noteMultiplier: 1.0, segmentThreshold: 0.32, color: '#FF6B35', chordChance: 0.45, slideChance: 0.35, burstChance: 0.25 },
+        { stars: 7, name: 'LUNATIC', noteMultiplier: 1.0, segmentThreshold: 0.32, color: '#FF6B35', chordChance: 0.45, slideChance: 0.35, burstChance: 0.25, laneMapping: 'timbre', patterns: ['stairs', 'reverseStairs', 'trills', 'rolls', 'minijacks', 'brackets'] },
         // ★8 INFERNO - 지옥, 극악 패턴
-        { stars: 8, name: 'INFERNO', noteMultiplier: 1.20, segmentThreshold: 0.20, color: '#FF3366', chordChance: 0.55, slideChance: 0.45, burstChance: 0.35 },
+        { stars: 8, name: 'INFERNO', noteMultiplier: 1.20, segmentThreshold: 0.20, color: '#FF3366', chordChance: 0.55, slideChance: 0.45, burstChance: 0.35, patterns: ['stairs', 'reverseStairs', 'trills', 'rolls', 'minijacks', 'brackets', 'jumpstream'] },
         // ★9 CHAOS - 혼돈, 거의 불가능
-        { stars: 9, name: 'CHAOS', noteMultiplier: 1.45, segmentThreshold: 0.10, color: '#CC00FF', chordChance: 0.65, slideChance: 0.55, burstChance: 0.50 },
+        { stars: 9, name: 'CHAOS', noteMultiplier: 1.45, segmentThreshold: 0.10, color: '#CC00FF', chordChance: 0.65, slideChance: 0.55, burstChance: 0.50, patterns: ['stairs', 'reverseStairs', 'trills', 'rolls', 'minijacks', 'brackets', 'jumpstream', 'handstream'] },
         // ★10 ABSOLUTE - 절대자, 인간의 한계를 초월
-        { stars: 10, name: 'ABSOLUTE', noteMultiplier: 1.80, segmentThreshold: 0.05, color: '#FF0066', chordChance: 0.75, slideChance: 0.65, burstChance: 0.70 }
+        { stars: 10, name: 'ABSOLUTE', noteMultiplier: 1.80, segmentThreshold: 0.05, color: '#FF0066', chordChance: 0.75, slideChance: 0.65, burstChance: 0.70, patterns: ['stairs', 'reverseStairs', 'trills', 'rolls', 'minijacks', 'brackets', 'jumpstream', 'handstream'] }
     ];
 
     // ====== HIGH SCORE STORAGE ======
@@ -89,20 +142,41 @@ var visualizer = (() => {
         }
     }
 
+    // Each judge preset and each target-NPS setting has its own table; NORMAL preset-density plays keep
+    // the original key so older scores stay on it. Extra parts are joined with a separator custom
+    // difficulty names cannot contain.
+    const HIGH_SCORE_KEY_SEPARATOR = '|';
+
+    function getHighScoreKey(trackId, difficultyName, judge, targetNps) {
+        const parts = [`${trackId}_${difficultyName}`];
+        if (judge && judge !== DEFAULT_JUDGE_PRESET) parts.push(judge);
+        if (targetNps?.avg > 0) parts.push(`NPS${targetNps.avg}-${targetNps.peak}`);
+        return parts.join(HIGH_SCORE_KEY_SEPARATOR);
+    }
+
     function saveHighScore(trackId, difficultyName, result) {
         try {
             const scores = getHighScores();
-            const key = `${trackId}_${difficultyName}`;
+            const key = getHighScoreKey(trackId, difficultyName, result.judge, result.targetNps);
             const existing = scores[key];
 
-            // Only save if it's a new high score
-            if (!existing || result.score > existing.score) {
+            // Only save if it's a new high score; legacy scores use another scale, so any
+            // normalized result replaces them and the old number is kept for reference
+            const isLegacy = isLegacyScore(existing);
+            if (!existing || isLegacy || result.score > existing.score) {
                 scores[key] = {
                     score: result.score,
+                    scoreBreakdown: result.scoreBreakdown,
+                    scoring: SCORING_VERSION,
+                    legacyScore: isLegacy ? existing.score : existing?.legacyScore,
                     accuracy: result.accuracy,
                     rank: result.rank,
                     maxCombo: result.maxCombo,
                     isFullCombo: result.isFullCombo,
+                    rating: result.rating,
+                    judge: result.judge || DEFAULT_JUDGE_PRESET,
+                    accuracyModel: result.accuracyModel,
+                    targetNps: result.targetNps || undefined,
                     date: new Date().toISOString()
                 };
                 localStorage.setItem(STORAGE_KEY, JSON.stringify(scores));
@@ -115,10 +189,88 @@ var visualizer = (() => {
         }
     }
 
-    function getHighScore(trackId, difficultyName) {
+    function getHighScore(trackId, difficultyName, judge, targetNps) {
         const scores = getHighScores();
-        const key = `${trackId}_${difficultyName}`;
-        return scores[key] || null;
+        return scores[getHighScoreKey(trackId, difficultyName, judge, targetNps)] || null;
+    }
+
+    // ====== CUSTOM DIFFICULTIES ======
+    // User-built difficulties saved by name; their high scores are keyed by that name like the presets
+    const CUSTOM_DIFFICULTIES_KEY = 'rhythm_game_custom_difficulties';
+    const CUSTOM_DIFFICULTY_COLOR = '#B388FF';
+    const CUSTOM_DIFFICULTY_NAME_LENGTH = 16;
+
+    const CUSTOM_DIFFICULTY_FIELDS = [
+        { key: 'stars', label: 'BASE LEVEL', min: 1, max: 10, step: 1, format: v => '★'.repeat(v) },
+        { key: 'noteMultiplier', label: 'NOTE DENSITY', min: 0.1, max: 2.5, step: 0.05, format: v => `×${v.toFixed(2)}` },
+        { key: 'segmentThreshold', label: 'SEGMENT THRESHOLD', min: 0, max: 1, step: 0.01, format: v => v.toFixed(2) },
+        { key: 'chordChance', label: 'CHORDS', min: 0, max: 1, step: 0.01, format: v => `${Math.round(v * 100)}%` },
+        { key: 'slideChance', label: 'SLIDES', min: 0, max: 1, step: 0.01, format: v => `${Math.round(v * 100)}%` },
+        { key: 'burstChance', label: 'BURSTS', min: 0, max: 1, step: 0.01, format: v => `${Math.round(v * 100)}%` },
+        { key: 'maxSimultaneous', label: 'MAX SIMULTANEOUS', min: 1, max: 4, step: 1, format: v => `${v} notes` },
+        { key: 'minNoteGap', label: 'MIN NOTE GAP', min: 30, max: 300, step: 5, format: v => `${v}ms` },
+        { key: 'gridSnap', label: 'GRID SNAP', min: 1, max: 8, step: 1, format: v => `1/${v} tatum` }
+    ];
+
+    function getCustomDifficulties() {
+        try {
+            const data = localStorage.getItem(CUSTOM_DIFFICULTIES_KEY);
+            return data ? JSON.parse(data) : [];
+        } catch (e) {
+            console.error('[RhythmGame] Failed to load custom difficulties:', e);
+            return [];
+        }
+    }
+
+    function normalizeCustomDifficultyName(name) {
+        return name.split(HIGH_SCORE_KEY_SEPARATOR).join('').trim().toUpperCase().slice(0, CUSTOM_DIFFICULTY_NAME_LENGTH);
+    }
+
+    // Returns the saved list, or null when the name is unusable
+    function saveCustomDifficulty(difficulty) {
+        const name = normalizeCustomDifficultyName(difficulty.name);
+        if (!name || name === 'CUSTOM' || DIFFICULTIES.some(d => d.name === name)) return null;
+        try {
+            const list = getCustomDifficulties().filter(d => d.name !== name && d.name !== difficulty.originalName);
+            const { originalName, ...saved } = difficulty;
+            list.push({ ...saved, name, color: CUSTOM_DIFFICULTY_COLOR, custom: true });
+            localStorage.setItem(CUSTOM_DIFFICULTIES_KEY, JSON.stringify(list));
+            return list;
+        } catch (e) {
+            console.error('[RhythmGame] Failed to save custom difficulty:', e);
+            return null;
+        }
+    }
+
+    function deleteCustomDifficulty(name) {
+        try {
+            const list = getCustomDifficulties().filter(d => d.name !== name);
+            localStorage.setItem(CUSTOM_DIFFICULTIES_KEY, JSON.stringify(list));
+            return list;
+        } catch (e) {
+            console.error('[RhythmGame] Failed to delete custom difficulty:', e);
+            return getCustomDifficulties();
+        }
+    }
+
+    // Editable draft seeded from a preset or an existing custom difficulty
+    function createCustomDifficultyDraft(base) {
+        return {
+            name: base.custom ? base.name : '',
+            originalName: base.custom ? base.name : undefined,
+            stars: base.stars,
+            noteMultiplier: base.noteMultiplier,
+            segmentThreshold: base.segmentThreshold,
+            chordChance: base.chordChance,
+            slideChance: base.slideChance,
+            burstChance: base.burstChance,
+            maxSimultaneous: base.maxSimultaneous ?? RhythmChartEngine.DEFAULT_MAX_SIMULTANEOUS,
+            minNoteGap: base.minNoteGap ?? RhythmChartEngine.getDefaultMinNoteGap(base.stars),
+            gridSnap: base.gridSnap ?? RhythmChartEngine.getDefaultGridSnap(base.stars),
+            // Not editable, but part of what the base plays like
+            laneMapping: base.laneMapping,
+            patterns: base.patterns ? [...base.patterns] : undefined
+        };
     }
 
     function getRankFromAccuracy(accuracy) {
@@ -318,7 +470,13 @@ var visualizer = (() => {
             half: false     // Play only 50% of the song
         },
         offset: 0, // Audio sync offset in ms
-        laneCover: 0 // Lane cover percentage from top (0-50)
+        judgePreset: DEFAULT_JUDGE_PRESET, // JUDGE_PRESETS key
+        accuracyModel: DEFAULT_ACCURACY_MODEL, // ACCURACY_MODELS key
+        laneCover: 0, // Lane cover percentage from top (0-50)
+        chartSeed: '', // Optional user seed mixed into chart generation
+        laneMapping: 'auto', // 'auto' uses each difficulty's own style, otherwise a RhythmChartEngine.LANE_MAPPING_STYLES entry
+        difficultyModel: 'preset', // 'preset' scales density with the beat count, 'nps' aims for targetNps
+        targetNps: { avg: 6, peak: 12 } // Notes per second for the 'nps' model
     };
 
     function loadSettings() {
@@ -332,7 +490,8 @@ var visualizer = (() => {
                     ...saved,
                     customKeys: { ...DEFAULT_SETTINGS.customKeys, ...saved.customKeys },
                     effects: { ...DEFAULT_SETTINGS.effects, ...saved.effects },
-                    modifiers: { ...DEFAULT_SETTINGS.modifiers, ...saved.modifiers }
+                    modifiers: { ...DEFAULT_SETTINGS.modifiers, ...saved.modifiers },
+                    targetNps: { ...DEFAULT_SETTINGS.targetNps, ...saved.targetNps }
                 };
             }
             return DEFAULT_SETTINGS;
@@ -350,8 +509,192 @@ var visualizer = (() => {
         }
     }
 
+    // ====== TEMPO OVERRIDES ======
+    // Per-track ×½/×1/×2 tempo correction chosen on the title screen; tracks without one use auto-detection
+    const TEMPO_OVERRIDES_KEY = 'rhythm_game_tempo_overrides';
+
+    function getTempoOverride(trackId) {
+        if (!trackId) return undefined;
+        try {
+            const data = localStorage.getItem(TEMPO_OVERRIDES_KEY);
+            return (data ? JSON.parse(data) : {})[trackId];
+        } catch (e) {
+            console.error('[RhythmGame] Failed to load tempo overrides:', e);
+            return undefined;
+        }
+    }
+
+    // `multiplier` undefined goes back to auto-detection
+    function setTempoOverride(trackId, multiplier) {
+        if (!trackId) return;
+        try {
+            const data = localStorage.getItem(TEMPO_OVERRIDES_KEY);
+            const overrides = data ? JSON.parse(data) : {};
+            if (multiplier === undefined) delete overrides[trackId];
+            else overrides[trackId] = multiplier;
+            localStorage.setItem(TEMPO_OVERRIDES_KEY, JSON.stringify(overrides));
+        } catch (e) {
+            console.error('[RhythmGame] Failed to save tempo override:', e);
+        }
+    }
+
+    // ====== ANALYSIS CACHE ======
+    // Audio-analysis responses are kept in IndexedDB so cached tracks open instantly and play offline
+    const ANALYSIS_DB_NAME = 'rhythm_game_analysis_cache';
+    const ANALYSIS_STORE = 'analyses';
+    const ANALYSIS_CACHE_MAX_ENTRIES = 200;
+    const ANALYSIS_CACHE_MAX_BYTES = 50 * 1024 * 1024; // Approximate, measured as JSON length
+
+    let analysisDbPromise = null;
+
+    function requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function openAnalysisCache() {
+        if (!analysisDbPromise) {
+            analysisDbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+                const request = window.indexedDB.open(ANALYSIS_DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(ANALYSIS_STORE, { keyPath: 'key' });
+                    store.createIndex('lastAccess', 'lastAccess');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Allow a retry on the next call instead of caching the failure
+            analysisDbPromise.catch(() => { analysisDbPromise = null; });
+        }
+        return analysisDbPromise;
+    }
+
+    // Spotify tracks are keyed by track id; local files and episodes fall back to their URI
+    function getAnalysisCacheKey(trackInfo) {
+        return getTrackId(trackInfo) || trackInfo?.uri || null;
+    }
+
+    async function getCachedAnalysis(key) {
+        if (!key) return null;
+        try {
+            const db = await openAnalysisCache();
+            const store = db.transaction(ANALYSIS_STORE, 'readwrite').objectStore(ANALYSIS_STORE);
+            const entry = await requestToPromise(store.get(key));
+            if (!entry) return null;
+            entry.lastAccess = Date.now();
+            store.put(entry);
+            return entry.analysis;
+        } catch (e) {
+            console.error('[RhythmGame] Failed to read analysis cache:', e);
+            return null;
+        }
+    }
+
+    async function putCachedAnalysis(key, analysis) {
+        if (!key || !analysis) return;
+        try {
+            const db = await openAnalysisCache();
+            const store = db.transaction(ANALYSIS_STORE, 'readwrite').objectStore(ANALYSIS_STORE);
+            await requestToPromise(store.put({
+                key,
+                analysis,
+                size: JSON.stringify(analysis).length,
+                lastAccess: Date.now()
+            }));
+            await evictAnalysisCache(db);
+        } catch (e) {
+            console.error('[RhythmGame] Failed to write analysis cache:', e);
+        }
+    }
+
+    // Drop least recently used entries until the cache fits both limits
+    async function evictAnalysisCache(db) {
+        const store = db.transaction(ANALYSIS_STORE, 'readwrite').objectStore(ANALYSIS_STORE);
+        const entries = await requestToPromise(store.index('lastAccess').getAll());
+        let count = entries.length;
+        let bytes = entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+        for (const entry of entries) {
+            if (count <= ANALYSIS_CACHE_MAX_ENTRIES && bytes <= ANALYSIS_CACHE_MAX_BYTES) break;
+            store.delete(entry.key);
+            count--;
+            bytes -= entry.size || 0;
+        }
+    }
+
+    async function getAnalysisCacheInfo() {
+        try {
+            const db = await openAnalysisCache();
+            const store = db.transaction(ANALYSIS_STORE, 'readonly').objectStore(ANALYSIS_STORE);
+            const entries = await requestToPromise(store.getAll());
+            return { entries: entries.length, bytes: entries.reduce((sum, entry) => sum + (entry.size || 0), 0) };
+        } catch (e) {
+            console.error('[RhythmGame] Failed to read analysis cache:', e);
+            return { entries: 0, bytes: 0 };
+        }
+    }
+
+    async function clearAnalysisCache() {
+        const db = await openAnalysisCache();
+        await requestToPromise(db.transaction(ANALYSIS_STORE, 'readwrite').objectStore(ANALYSIS_STORE).clear());
+    }
+
+    // Cache first, then the audio-analysis endpoint (Spotify tracks only)
+    async function loadAudioAnalysis(trackInfo) {
+        const key = getAnalysisCacheKey(trackInfo);
+        const cached = await getCachedAnalysis(key);
+        if (cached) return cached;
+
+        const uri = Spicetify.URI.fromString(trackInfo.uri);
+        if (uri.type !== Spicetify.URI.Type.TRACK) return null;
+        const url = `https://spclient.wg.spotify.com/audio-attributes/v1/audio-analysis/${uri.id}?format=json`;
+        const analysis = await Spicetify.CosmosAsync.get(url);
+        if (!analysis || !analysis.beats) return null;
+        putCachedAnalysis(key, analysis);
+        return analysis;
+    }
+
+    // Generator options shared by every place that builds a chart from the current settings
+    function getChartOptions(settings, trackId) {
+        return {
+            keyMode: settings.keyMode,
+            modifiers: settings.modifiers,
+            trackId,
+            userSeed: settings.chartSeed,
+            laneMapping: settings.laneMapping === 'auto' ? undefined : settings.laneMapping,
+            targetNps: settings.difficultyModel === 'nps' ? settings.targetNps : undefined,
+            tempoMultiplier: getTempoOverride(trackId)
+        };
+    }
+
+    // Background work between frames; a short timeout where requestIdleCallback is missing
+    function scheduleIdle(callback) {
+        return window.requestIdleCallback ? window.requestIdleCallback(callback, { timeout: 500 }) : setTimeout(callback, 16);
+    }
+
+    function cancelIdle(handle) {
+        if (window.cancelIdleCallback) window.cancelIdleCallback(handle);
+        else clearTimeout(handle);
+    }
+
     // ====== RHYTHM GAME COMPONENT ======
-    function RhythmGame({ audioAnalysis, difficulty, onGameEnd, gameStateRef: externalRef, settings }) {
+    // Copy chart notes (shifted by the chart offset) and attach the per-play hit/hold state the game loop mutates
+    function createRuntimeNotes(chart) {
+        const offset = chart?.offset || 0;
+        return (chart?.notes || []).map(note => note.type === 'slide'
+            ? { ...note, time: note.time + offset, hit: false, passed: false, holding: false, ticksHit: 0, totalTicks: Math.max(10, Math.floor(note.duration / 80)) }
+            : { ...note, time: note.time + offset, hit: false, passed: false }
+        );
+    }
+
+    const TEST_PLAY_LEAD_IN = 2000; // Playback starts this long before a "test from here" position
+
+    function RhythmGame({ chart, audioAnalysis, difficulty, onGameEnd, gameStateRef: externalRef, settings, startTime = 0 }) {
         const canvasRef = useRef(null);
         const analyserRef = useRef(null);
         const audioDataRef = useRef(new Uint8Array(64));
@@ -366,6 +709,9 @@ var visualizer = (() => {
         const LANE_CODES = keyConfig.codes; // KeyboardEvent.code for cross-platform (Mac/Windows)
         const LANE_COLORS = keyConfig.colors;
         const NOTE_SPEED = speed * 100;
+        const judgePreset = JUDGE_PRESETS[settings.judgePreset] ? settings.judgePreset : DEFAULT_JUDGE_PRESET;
+        const timing = getJudgeTiming(judgePreset);
+        const accuracyModel = getAccuracyModelKey(settings.accuracyModel);
 
         // Get note skin drawer
         const noteSkinDrawer = NOTE_SKINS[noteSkin] || NOTE_SKINS.default;
@@ -385,7 +731,7 @@ var visualizer = (() => {
             lastJudgement: null,
             lastJudgementTime: 0,
             lastJudgementLane: -1,
-            lastTiming: null, // 'EARLY', 'LATE', or null for PERFECT
+            lastTiming: null, // 'EARLY', 'LATE', 'BREAK' (slide let go too early), or null for PERFECT
             particles: [],
             hitEffects: [],
             laneFlashes: new Array(LANES).fill(0),
@@ -402,9 +748,12 @@ var visualizer = (() => {
             hp: 100,
             // New features
             isFever: false, // Fever mode active
-            feverMultiplier: 1, // Score multiplier
+            scoreBreakdown: { accuracy: 0, combo: 0, total: 0 },
             perfectChain: 0, // Consecutive perfect count
             missFlash: 0, // Red flash on miss (0-1)
+            accuracyJudgements: { PERFECT: 0, GREAT: 0, GOOD: 0, MISS: 0 }, // Slide heads and tails counted apart
+            accuracyTotal: 0, // Judgements the whole chart holds: one per tap, two per slide
+            hitOffsets: [], // { lane, offset } per hit note, offset in ms (negative = early)
             currentAccuracy: 100 // Real-time accuracy
         });
 
@@ -429,663 +778,27 @@ var visualizer = (() => {
         const cachedGradientsRef = useRef(null);
         const MAX_PARTICLES = 200; // Reduced for better performance
 
-        // Generate notes from audio analysis - Improved algorithm
-        const generateNotes = useCallback((analysis, diff) => {
-            if (!analysis) return [];
-
-            const notes = [];
-            const slideNotes = [];
-            const beats = analysis.beats || [];
-            const segments = analysis.segments || [];
-            const sections = analysis.sections || [];
-            const track = analysis.track || {};
-
-            // Get tempo and time signature info
-            const tempo = track.tempo || 120;
-            const timeSignature = track.time_signature || 4;
-            const beatInterval = 60000 / tempo; // ms per beat
-
-            // Get modifiers from settings
-            const isMirror = settings.modifiers?.mirror;
-            const isRandom = settings.modifiers?.random;
-
-            // Analyze segments for loudness range (for dynamic lane assignment)
-            const loudnessValues = segments.map(s => s.loudness_max || s.loudness_start || -20);
-            const minLoudness = Math.min(...loudnessValues);
-            const maxLoudness = Math.max(...loudnessValues);
-            const loudnessRange = maxLoudness - minLoudness || 1;
-
-            // Analyze segments for pitch patterns
-            const getPitchLane = (segment) => {
-                if (!segment.pitches || segment.pitches.length === 0) {
-                    return Math.floor(LANES / 2);
-                }
-                // Find dominant pitch (0-11 representing C to B)
-                const maxPitchIndex = segment.pitches.indexOf(Math.max(...segment.pitches));
-                // Map 12 pitches to available lanes
-                return Math.floor((maxPitchIndex / 12) * LANES);
-            };
-
-            // Get loudness-based lane (louder = more center, quieter = more edges)
-            const getLoudnessLane = (segment) => {
-                const loudness = segment.loudness_max || segment.loudness_start || -20;
-                const normalized = (loudness - minLoudness) / loudnessRange; // 0-1
-                // Map to lanes: quiet sounds go to edges, loud sounds go to center
-                if (normalized > 0.6) {
-                    // Loud - center lanes
-                    return Math.floor(LANES / 2) + (Math.random() > 0.5 ? 0 : -1);
-                } else if (normalized < 0.3) {
-                    // Quiet - edge lanes
-                    return Math.random() > 0.5 ? 0 : LANES - 1;
-                } else {
-                    // Medium - any lane
-                    return Math.floor(Math.random() * LANES);
-                }
-            };
-
-            // Helper function to check if a time overlaps with any slide note in the same lane
-            const overlapsWithSlide = (time, lane, duration = 0) => {
-                const noteStart = time;
-                const noteEnd = time + duration;
-                return slideNotes.some(slide => {
-                    if (slide.lane !== lane) return false;
-                    const slideStart = slide.time - MIN_SLIDE_END_GAP;
-                    const slideEnd = slide.time + slide.duration + MIN_SLIDE_END_GAP;
-                    // Check if the time ranges overlap
-                    return (noteStart < slideEnd && noteEnd > slideStart);
-                });
-            };
-
-            // Helper function to check if a new slide note overlaps with existing slides
-            const slideOverlapsWithExisting = (time, lane, duration) => {
-                const newStart = time;
-                const newEnd = time + duration;
-                return slideNotes.some(slide => {
-                    if (slide.lane !== lane) return false;
-                    const existingStart = slide.time;
-                    const existingEnd = slide.time + slide.duration;
-                    // Check overlap with buffer
-                    const buffer = MIN_SLIDE_END_GAP;
-                    return (newStart < existingEnd + buffer && newEnd > existingStart - buffer);
-                });
-            };
-
-            // Apply lane modifier
-            const applyLaneModifier = (lane) => {
-                lane = Math.max(0, Math.min(LANES - 1, lane)); // Clamp to valid range
-                if (isMirror) {
-                    return LANES - 1 - lane;
-                }
-                if (isRandom) {
-                    return Math.floor(Math.random() * LANES);
-                }
-                return lane;
-            };
-
-            // Find the section for a given time
-            const getSectionAtTime = (time) => {
-                const timeSec = time / 1000;
-                return sections.find((s, i) => {
-                    const nextSection = sections[i + 1];
-                    return timeSec >= s.start && (!nextSection || timeSec < nextSection.start);
-                });
-            };
-
-            // Find the closest segment for a given time
-            const getSegmentAtTime = (time) => {
-                const timeSec = time / 1000;
-                let closest = segments[0];
-                let minDiff = Infinity;
-                for (const seg of segments) {
-                    const diff = Math.abs(seg.start - timeSec);
-                    if (diff < minDiff) {
-                        minDiff = diff;
-                        closest = seg;
-                    }
-                    if (seg.start > timeSec) break;
-                }
-                return closest;
-            };
-
-            // Track lane history for creating flowing patterns
-            let lastLane = Math.floor(LANES / 2);
-            let patternDirection = 1; // 1 = moving right, -1 = moving left
-            let consecutiveCount = 0;
-            const maxConsecutive = 3; // Max notes in same lane before forcing movement
-
-            // Smart lane selection that creates musical patterns
-            const getSmartLane = (time, segment, beatIndex) => {
-                const section = getSectionAtTime(time);
-                const sectionLoudness = section?.loudness || -10;
-
-                // High energy sections: more movement, use pitch-based lanes
-                // Low energy sections: simpler patterns, stay center
-                const isHighEnergy = sectionLoudness > -8;
-
-                let targetLane;
-
-                if (isHighEnergy && segment) {
-                    // Use pitch to determine lane for melodic feel
-                    targetLane = getPitchLane(segment);
-                } else if (segment) {
-                    // Use loudness for dynamic feel
-                    targetLane = getLoudnessLane(segment);
-                } else {
-                    // Fallback: create flowing pattern
-                    targetLane = lastLane + patternDirection;
-                }
-
-                // Apply pattern rules for playability
-                if (targetLane === lastLane) {
-                    consecutiveCount++;
-                    if (consecutiveCount >= maxConsecutive) {
-                        // Force lane change after too many consecutive same-lane notes
-                        targetLane = lastLane + patternDirection;
-                        consecutiveCount = 0;
-                    }
-                } else {
-                    consecutiveCount = 0;
-                }
-
-                // Bounce at edges
-                if (targetLane >= LANES) {
-                    targetLane = LANES - 2;
-                    patternDirection = -1;
-                } else if (targetLane < 0) {
-                    targetLane = 1;
-                    patternDirection = 1;
-                }
-
-                // Occasionally change direction for variety (on strong beats)
-                if (beatIndex % timeSignature === 0 && Math.random() < 0.3) {
-                    patternDirection *= -1;
-                }
-
-                lastLane = targetLane;
-                return Math.max(0, Math.min(LANES - 1, targetLane));
-            };
-
-            // FIRST: Generate slide notes based on difficulty slideChance
-            const slideChance = diff.slideChance || 0;
-            if (slideChance > 0) {
-                // Sort sections by time to process in order
-                const sortedSections = [...sections].sort((a, b) => a.start - b.start);
-                
-                // Use sections with high loudness for slide notes
-                sortedSections.forEach((section, index) => {
-                    if (section.loudness < -10) return; // Skip quiet sections
-                    
-                    // Use slideChance to determine frequency
-                    if (Math.random() > slideChance * 2) return;
-
-                    const time = section.start * 1000;
-                    if (time < MIN_NOTE_TIME) return;
-
-                    // Duration based on section confidence and difficulty
-                    const baseDuration = Math.min(section.duration * 1000 * 0.4, 2500);
-                    const duration = Math.max(400, baseDuration * (section.confidence || 0.5) * (0.8 + diff.stars * 0.05));
-
-                    // Place slide notes - higher difficulties can use more lanes
-                    let lane;
-                    if (diff.stars <= 4) {
-                        lane = index % 2 === 0 ? 0 : LANES - 1; // Edge lanes only
-                    } else if (diff.stars <= 7) {
-                        lane = Math.floor(Math.random() * LANES); // Any lane
-                    } else {
-                        // High difficulty: weighted towards center for challenge
-                        const centerWeight = Math.random();
-                        if (centerWeight < 0.4) {
-                            lane = Math.floor(LANES / 2) + (Math.random() > 0.5 ? 0 : -1);
-                        } else {
-                            lane = Math.floor(Math.random() * LANES);
-                        }
-                    }
-                    lane = applyLaneModifier(lane);
-
-                    // Check if this slide overlaps with existing slides
-                    if (slideOverlapsWithExisting(time, lane, duration)) {
-                        // Try to find an alternative lane
-                        let foundLane = false;
-                        for (let tryLane = 0; tryLane < LANES; tryLane++) {
-                            const altLane = applyLaneModifier(tryLane);
-                            if (!slideOverlapsWithExisting(time, altLane, duration)) {
-                                lane = altLane;
-                                foundLane = true;
-                                break;
-                            }
-                        }
-                        // If no lane is available, skip this slide note
-                        if (!foundLane) return;
-                    }
-
-                    const totalTicks = Math.max(10, Math.floor(duration / 80));
-                    notes.push({
-                        id: `slide-${index}`,
-                        type: 'slide',
-                        time: time,
-                        lane: lane,
-                        duration: duration,
-                        hit: false,
-                        processed: false,
-                        holding: false,
-                        ticksHit: 0,
-                        totalTicks: totalTicks
-                    });
-                    slideNotes.push({ time, lane, duration });
-                });
-            }
-
-            // SECOND: Generate tap notes from beats with musical lane assignment
-            const beatsPerMeasure = timeSignature;
-
-            beats.forEach((beat, index) => {
-                // Apply difficulty filter
-                if (diff.noteMultiplier < 1.0) {
-                    const skipRate = Math.floor(1 / diff.noteMultiplier);
-                    // Keep strong beats (downbeats), skip some weak beats
-                    const beatInMeasure = index % beatsPerMeasure;
-                    const isStrongBeat = beatInMeasure === 0 || beatInMeasure === Math.floor(beatsPerMeasure / 2);
-
-                    if (!isStrongBeat && index % skipRate !== 0) return;
-                }
-
-                const time = beat.start * 1000;
-                if (time < MIN_NOTE_TIME) return;
-
-                const segment = getSegmentAtTime(time);
-                let lane = getSmartLane(time, segment, index);
-                lane = applyLaneModifier(lane);
-
-                if (overlapsWithSlide(time, lane)) {
-                    // Try adjacent lanes
-                    const altLane1 = (lane + 1) % LANES;
-                    const altLane2 = (lane - 1 + LANES) % LANES;
-                    if (!overlapsWithSlide(time, altLane1)) {
-                        lane = altLane1;
-                    } else if (!overlapsWithSlide(time, altLane2)) {
-                        lane = altLane2;
-                    } else {
-                        return; // Skip this note
-                    }
-                }
-
-                notes.push({
-                    id: `beat-${index}`,
-                    type: 'tap',
-                    time: time,
-                    lane: lane,
-                    hit: false,
-                    passed: false,
-                    confidence: beat.confidence || 0.5,
-                    isDownbeat: index % beatsPerMeasure === 0
-                });
-            });
-
-            // THIRD: Add accent notes from high-confidence segments (for difficult modes)
-            if (diff.stars >= 2) {
-                segments.forEach((segment, index) => {
-                    // Only add notes for significant musical events
-                    const isLoudEnough = (segment.loudness_max || -20) > (maxLoudness - loudnessRange * 0.3);
-                    const isConfident = (segment.confidence || 0) > diff.segmentThreshold;
-
-                    if (!isLoudEnough || !isConfident) return;
-
-                    const time = segment.start * 1000;
-                    if (time < MIN_NOTE_TIME) return;
-
-                    // Check if there's already a note close to this time
-                    const existingNote = notes.find(n =>
-                        Math.abs(n.time - time) < beatInterval * 0.4
-                    );
-                    if (existingNote) return;
-
-                    let lane = getPitchLane(segment);
-                    lane = applyLaneModifier(lane);
-
-                    if (overlapsWithSlide(time, lane)) return;
-
-                    notes.push({
-                        id: `seg-${index}`,
-                        type: 'tap',
-                        time: time,
-                        lane: lane,
-                        hit: false,
-                        passed: false,
-                        confidence: segment.confidence,
-                        isAccent: true
-                    });
-                });
-            }
-
-            // FOURTH: Add chord notes (max 2 simultaneous) and rapid sequences
-            const chordChance = diff.chordChance || 0;
-            if (chordChance > 0) {
-                const tapNotes = notes.filter(n => n.type === 'tap' && !n.isChord && !n.isRapidSeq);
-                let lastChordTime = -Infinity; // Track last chord time to prevent consecutive chords
-                const minChordGap = 500; // Minimum gap between chords (ms)
-                
-                tapNotes.forEach((note, index) => {
-                    if (Math.random() > chordChance) return;
-                    // Prefer adding on downbeats and accents
-                    if (!note.isDownbeat && !note.isAccent && Math.random() > 0.5) return;
-
-                    // Check if this would be a consecutive chord (prevent chord → chord)
-                    const timeSinceLastChord = note.time - lastChordTime;
-                    const wouldBeConsecutive = timeSinceLastChord < minChordGap;
-                    
-                    // High difficulty: convert most to rapid sequences, but allow occasional chords
-                    // If would be consecutive, always use rapid sequence instead
-                    const rapidChance = diff.stars >= 8 ? 0.85 : (diff.stars >= 6 ? 0.75 : 0.5);
-                    const useRapidSequence = wouldBeConsecutive || (diff.stars >= 5 && Math.random() < rapidChance);
-                    
-                    if (useRapidSequence) {
-                        // Create rapid sequence instead of chord (다다다닥)
-                        let rapidLength, rapidInterval;
-                        if (diff.stars >= 10) {
-                            rapidLength = 4 + Math.floor(Math.random() * 3); // 4-6 notes
-                            rapidInterval = 40 + Math.floor(Math.random() * 20); // 40-60ms
-                        } else if (diff.stars >= 9) {
-                            rapidLength = 3 + Math.floor(Math.random() * 3); // 3-5 notes
-                            rapidInterval = 50 + Math.floor(Math.random() * 20); // 50-70ms
-                        } else if (diff.stars >= 8) {
-                            rapidLength = 3 + Math.floor(Math.random() * 2); // 3-4 notes
-                            rapidInterval = 60 + Math.floor(Math.random() * 20); // 60-80ms
-                        } else if (diff.stars >= 7) {
-                            rapidLength = 2 + Math.floor(Math.random() * 2); // 2-3 notes
-                            rapidInterval = 70 + Math.floor(Math.random() * 20); // 70-90ms
-                        } else {
-                            rapidLength = 2;
-                            rapidInterval = 80 + Math.floor(Math.random() * 20); // 80-100ms
-                        }
-                        
-                        let currentLane = note.lane;
-                        let lastLane = note.lane;
-                        for (let i = 1; i < rapidLength; i++) {
-                            // ALWAYS change lane - never same lane twice in a row
-                            let newLane;
-                            if (diff.stars >= 8) {
-                                // Chaotic zigzag - bigger jumps
-                                const possibleMoves = [-2, -1, 1, 2].filter(m => {
-                                    const target = currentLane + m;
-                                    return target >= 0 && target < LANES && target !== lastLane;
-                                });
-                                const move = possibleMoves[Math.floor(Math.random() * possibleMoves.length)] || (currentLane > 0 ? -1 : 1);
-                                newLane = Math.max(0, Math.min(LANES - 1, currentLane + move));
-                            } else {
-                                // Alternating between adjacent lanes
-                                if (currentLane === 0) {
-                                    newLane = 1;
-                                } else if (currentLane === LANES - 1) {
-                                    newLane = LANES - 2;
-                                } else {
-                                    newLane = currentLane + (i % 2 === 0 ? 1 : -1);
-                                }
-                            }
-                            lastLane = currentLane;
-                            currentLane = newLane;
-                            
-                            const seqTime = note.time + i * rapidInterval;
-                            if (!overlapsWithSlide(seqTime, currentLane)) {
-                                notes.push({
-                                    id: `rapid-${index}-${i}`,
-                                    type: 'tap',
-                                    time: seqTime,
-                                    lane: currentLane,
-                                    hit: false,
-                                    passed: false,
-                                    confidence: note.confidence,
-                                    isRapidSeq: true
-                                });
-                            }
-                        }
-                    } else {
-                        // Standard 2-note chord only (max 2 simultaneous)
-                        let chordLane = note.lane <= LANES / 2 ? note.lane + 2 : note.lane - 2;
-                        chordLane = Math.max(0, Math.min(LANES - 1, chordLane));
-
-                        if (chordLane !== note.lane && !overlapsWithSlide(note.time, chordLane)) {
-                            notes.push({
-                                id: `chord-${index}`,
-                                type: 'tap',
-                                time: note.time,
-                                lane: chordLane,
-                                hit: false,
-                                passed: false,
-                                confidence: note.confidence,
-                                isChord: true
-                            });
-                            // Update last chord time
-                            lastChordTime = note.time;
-                        }
-                    }
-                });
-            }
-
-            // FIFTH: Add burst notes (rapid consecutive notes) for higher difficulties
-            const burstChance = diff.burstChance || 0;
-            if (burstChance > 0 && diff.stars >= 4) {
-                const highEnergySegments = segments.filter(s => (s.loudness_max || -20) > maxLoudness - loudnessRange * 0.25);
-                highEnergySegments.forEach((segment, index) => {
-                    if (Math.random() > burstChance) return;
-                    
-                    const startTime = segment.start * 1000;
-                    if (startTime < MIN_NOTE_TIME) return;
-                    
-                    // Check if there's already notes close by
-                    const hasNearbyNotes = notes.some(n => Math.abs(n.time - startTime) < 150);
-                    if (hasNearbyNotes) return;
-                    
-                    // Create a burst of rapid notes - more notes at higher difficulties
-                    let burstLength, burstInterval;
-                    if (diff.stars >= 10) {
-                        burstLength = 8 + Math.floor(Math.random() * 6); // 8-13 notes
-                        burstInterval = 50 + Math.floor(Math.random() * 30); // 50-80ms (insane speed)
-                    } else if (diff.stars >= 9) {
-                        burstLength = 6 + Math.floor(Math.random() * 5); // 6-10 notes
-                        burstInterval = 60 + Math.floor(Math.random() * 30); // 60-90ms
-                    } else if (diff.stars >= 8) {
-                        burstLength = 5 + Math.floor(Math.random() * 4); // 5-8 notes
-                        burstInterval = 70 + Math.floor(Math.random() * 30); // 70-100ms
-                    } else if (diff.stars >= 7) {
-                        burstLength = 4 + Math.floor(Math.random() * 3); // 4-6 notes
-                        burstInterval = 80 + Math.floor(Math.random() * 30); // 80-110ms
-                    } else {
-                        burstLength = 3 + Math.floor(Math.random() * 2); // 3-4 notes
-                        burstInterval = 100 + Math.floor(Math.random() * 30); // 100-130ms
-                    }
-                    
-                    let currentLane = Math.floor(Math.random() * LANES);
-                    let lastLane = -1;
-                    
-                    for (let i = 0; i < burstLength; i++) {
-                        const noteTime = startTime + i * burstInterval;
-                        
-                        // ALWAYS change lane - never same lane twice in a row
-                        if (i > 0) {
-                            let newLane;
-                            if (diff.stars >= 9) {
-                                // Chaotic pattern - random but never same lane
-                                const availableLanes = [];
-                                for (let l = 0; l < LANES; l++) {
-                                    if (l !== lastLane) availableLanes.push(l);
-                                }
-                                newLane = availableLanes[Math.floor(Math.random() * availableLanes.length)];
-                            } else if (diff.stars >= 7) {
-                                // Zigzag pattern
-                                const possibleMoves = [-2, -1, 1, 2].filter(m => {
-                                    const target = currentLane + m;
-                                    return target >= 0 && target < LANES && target !== lastLane;
-                                });
-                                const move = possibleMoves[Math.floor(Math.random() * possibleMoves.length)] || (currentLane > 0 ? -1 : 1);
-                                newLane = Math.max(0, Math.min(LANES - 1, currentLane + move));
-                            } else {
-                                // Simple alternating - adjacent lanes
-                                if (currentLane === 0) {
-                                    newLane = 1;
-                                } else if (currentLane === LANES - 1) {
-                                    newLane = LANES - 2;
-                                } else {
-                                    newLane = currentLane + (i % 2 === 0 ? 1 : -1);
-                                }
-                            }
-                            lastLane = currentLane;
-                            currentLane = newLane;
-                        } else {
-                            lastLane = currentLane;
-                        }
-                        
-                        if (!overlapsWithSlide(noteTime, currentLane)) {
-                            notes.push({
-                                id: `burst-${index}-${i}`,
-                                type: 'tap',
-                                time: noteTime,
-                                lane: applyLaneModifier(currentLane),
-                                hit: false,
-                                passed: false,
-                                confidence: 0.8,
-                                isBurst: true
-                            });
-                        }
-                    }
-                });
-            }
-
-            // Sort notes by time
-            notes.sort((a, b) => a.time - b.time);
-
-            // Filter out notes in the first second
-            const filteredNotes = notes.filter(note => note.time >= MIN_NOTE_TIME);
-
-            // Snap all notes to BPM grid for tight timing
-            const quarterBeat = beatInterval / 4;
-            const eighthBeat = beatInterval / 8;
-            const gridSize = diff.stars >= 4 ? eighthBeat : quarterBeat; // Finer grid for hard modes
-
-            filteredNotes.forEach(note => {
-                const beatPosition = note.time / gridSize;
-                const snappedBeatPosition = Math.round(beatPosition);
-                const snappedTime = snappedBeatPosition * gridSize;
-
-                // Snap if within half grid size
-                if (Math.abs(note.time - snappedTime) < gridSize / 2) {
-                    note.time = snappedTime;
-                }
-            });
-
-            // Synchronize near-simultaneous notes to create clean chords
-            for (let i = 0; i < filteredNotes.length; i++) {
-                const baseNote = filteredNotes[i];
-                if (baseNote.type === 'slide') continue;
-
-                for (let j = i + 1; j < filteredNotes.length; j++) {
-                    const compareNote = filteredNotes[j];
-                    if (compareNote.type === 'slide') continue;
-
-                    const timeDiff = Math.abs(compareNote.time - baseNote.time);
-                    if (timeDiff <= NOTE_SYNC_THRESHOLD && compareNote.lane !== baseNote.lane) {
-                        compareNote.time = baseNote.time;
-                    } else if (timeDiff > NOTE_SYNC_THRESHOLD) {
-                        break;
-                    }
-                }
-            }
-
-            // LIMIT: Maximum 2 simultaneous notes - spread excess into rapid sequence
-            filteredNotes.sort((a, b) => a.time - b.time);
-            const simultaneousGroups = new Map();
-            
-            filteredNotes.forEach((note, idx) => {
-                if (note.type === 'slide') return;
-                const timeKey = Math.round(note.time);
-                if (!simultaneousGroups.has(timeKey)) {
-                    simultaneousGroups.set(timeKey, []);
-                }
-                simultaneousGroups.get(timeKey).push({ note, idx });
-            });
-            
-            // Spread notes if more than 2 simultaneous
-            const spreadInterval = diff.stars >= 8 ? 50 : (diff.stars >= 6 ? 70 : 90);
-            simultaneousGroups.forEach((group) => {
-                if (group.length > 2) {
-                    // Keep first 2, spread the rest into rapid sequence
-                    group.slice(2).forEach((item, i) => {
-                        item.note.time += (i + 1) * spreadInterval;
-                        item.note.isRapidSeq = true; // Mark as part of rapid sequence
-                    });
-                }
-            });
-
-            // Ensure minimum gap between notes for playability
-            // Gap decreases at higher difficulties for faster patterns
-            filteredNotes.sort((a, b) => a.time - b.time || a.lane - b.lane);
-
-            const lastNoteTimePerLane = {};
-            const notesToRemove = new Set();
-            
-            // Dynamic gap based on difficulty - lower gap = harder
-            const getMinGapForDifficulty = () => {
-                if (diff.stars >= 10) return 40;  // Absolute - 거의 없음
-                if (diff.stars >= 9) return 55;   // Chaos - 매우 빠른 연타
-                if (diff.stars >= 8) return 70;   // Inferno - 빠른 연타
-                if (diff.stars >= 7) return 85;   // Lunatic - 연타 가능
-                if (diff.stars >= 6) return 100;  // Master
-                if (diff.stars >= 5) return 115;  // Expert
-                return MIN_NOTE_GAP; // 150ms for lower difficulties
-            };
-            const dynamicMinGap = getMinGapForDifficulty();
-
-            filteredNotes.forEach((note, index) => {
-                const lane = note.lane;
-                const lastTime = lastNoteTimePerLane[lane];
-
-                if (lastTime !== undefined) {
-                    const gap = note.time - lastTime;
-                    const requiredGap = note.type === 'slide' ? MIN_SLIDE_END_GAP : dynamicMinGap;
-
-                    if (gap < requiredGap && gap > 0) {
-                        notesToRemove.add(index);
-                        return;
-                    }
-                }
-
-                // Update last time for this lane
-                if (note.type === 'slide') {
-                    lastNoteTimePerLane[lane] = note.time + note.duration + MIN_SLIDE_END_GAP;
-                } else {
-                    lastNoteTimePerLane[lane] = note.time;
-                }
-            });
-
-            // Remove notes that are too close
-            let playableNotes = filteredNotes.filter((_, index) => !notesToRemove.has(index));
-
-            // Half mode: only keep notes in the first 50% of the song
-            const isHalfMode = settings.modifiers?.half;
-            if (isHalfMode && analysis.track?.duration) {
-                const halfDuration = (analysis.track.duration * 1000) * 0.5;
-                playableNotes = playableNotes.filter(note => {
-                    const noteEndTime = note.type === 'slide' ? note.time + note.duration : note.time;
-                    return noteEndTime <= halfDuration;
-                });
-            }
-
-            return playableNotes;
-        }, [LANES, settings.modifiers]);
-
         // Initialize game
         useEffect(() => {
-            if (audioAnalysis && difficulty && !startedRef.current) {
+            if (chart && difficulty && !startedRef.current) {
                 startedRef.current = true;
-                const notes = generateNotes(audioAnalysis, difficulty);
+                // Test plays from the editor skip everything before the cursor
+                const notes = createRuntimeNotes(chart).filter(note => note.time >= startTime);
+                const playbackStart = startTime > 0 ? Math.max(0, startTime - TEST_PLAY_LEAD_IN) : 0;
 
                 gameStateRef.current = {
                     ...gameStateRef.current,
                     notes: notes,
                     totalNotes: notes.length,
                     score: 0,
+                    scoreBreakdown: { accuracy: 0, combo: 0, total: 0 },
                     combo: 0,
                     maxCombo: 0,
                     judgements: { PERFECT: 0, GREAT: 0, GOOD: 0, MISS: 0 },
+                    accuracyJudgements: { PERFECT: 0, GREAT: 0, GOOD: 0, MISS: 0 },
+                    accuracyTotal: notes.reduce((sum, note) => sum + (note.type === 'slide' ? 2 : 1), 0),
+                    hitOffsets: [],
+                    currentAccuracy: 100,
                     particles: [],
                     hitEffects: [],
                     laneFlashes: new Array(LANES).fill(0),
@@ -1095,18 +808,19 @@ var visualizer = (() => {
                     gameEnded: false,
                     isPlaying: false,
                     hp: 100, // Reset HP
-                    songDuration: (audioAnalysis?.track?.duration || 0) * 1000
+                    seed: chart.seed,
+                    songDuration: (audioAnalysis?.track?.duration || 0) * 1000 || chart.duration || 0
                 };
 
                 // Start playing after countdown (3 seconds)
                 setTimeout(() => {
-                    Spicetify.Player.seek(0);
+                    Spicetify.Player.seek(playbackStart);
                     setTimeout(() => Spicetify.Player.play(), 50);
                     gameStateRef.current.isPlaying = true;
                     gameStateRef.current.gameStartTime = performance.now();
                 }, 3500); // 3.5 second delay for countdown
             }
-        }, [audioAnalysis, difficulty, generateNotes, LANES]);
+        }, [chart, audioAnalysis, difficulty, LANES, startTime]);
 
         // Sync with Spotify playback
         useEffect(() => {
@@ -1216,17 +930,6 @@ var visualizer = (() => {
             };
         }, [LANES, LANE_KEYS, LANE_CODES]);
 
-        // Handle note release (for slide notes)
-        const handleNoteRelease = useCallback((lane) => {
-            const state = gameStateRef.current;
-            state.holdingLanes[lane] = false;
-            state.notes.forEach(note => {
-                if (note.lane === lane && note.type === 'slide' && note.holding) {
-                    note.holding = false;
-                }
-            });
-        }, []);
-
         // Add hit effect
         const addHitEffect = useCallback((lane, judgement) => {
             const state = gameStateRef.current;
@@ -1280,21 +983,96 @@ var visualizer = (() => {
             }
         }, [effects]);
 
+        // Count judgements toward accuracy and refresh the live figure
+        const countAccuracy = useCallback((...judgements) => {
+            const state = gameStateRef.current;
+            judgements.forEach(j => { state.accuracyJudgements[j]++; });
+            state.currentAccuracy = getAccuracy(state.accuracyJudgements, accuracyModel).toFixed(1);
+        }, [accuracyModel]);
+
+        // Count one judged note: score, combo, HP and accuracy. `accuracyParts` are the judgements
+        // it adds to accuracy when they differ from the note's own (slide heads and tails).
+        const recordJudgement = useCallback((lane, judgement, accuracyParts = [judgement]) => {
+            const state = gameStateRef.current;
+            const isNoFail = settings.modifiers?.noFail;
+
+            // Check Fever mode (50+ combo)
+            const wasFever = state.isFever;
+            state.isFever = state.combo >= 50;
+
+            state.judgements[judgement]++;
+
+            if (judgement !== 'MISS') {
+                state.combo++;
+                state.maxCombo = Math.max(state.maxCombo, state.combo);
+                addHitEffect(lane, judgement);
+                // Heal on hit
+                state.hp = Math.min(100, state.hp + (judgement === 'PERFECT' ? 2 : 1));
+            } else {
+                state.combo = 0;
+                state.isFullCombo = false;
+                state.missFlash = 1.0; // Trigger miss flash
+                // Damage on miss (skip if No Fail enabled)
+                if (!isNoFail) {
+                    state.hp = Math.max(0, state.hp - 15);
+                }
+            }
+
+            // Normalized score so far; fever is a visual reward and does not change it
+            state.scoreBreakdown = getScoreBreakdown(state.judgements, state.maxCombo, state.totalNotes);
+            state.score = state.scoreBreakdown.total;
+
+            countAccuracy(...accuracyParts);
+
+            state.lastJudgement = judgement;
+            state.lastJudgementTime = performance.now();
+            state.lastJudgementLane = lane;
+        }, [addHitEffect, countAccuracy, settings.modifiers]);
+
+        // Judge a finished slide like any other note; its head already counted toward accuracy
+        const finishSlide = useCallback((note, judgement, timing, tailJudgement) => {
+            const state = gameStateRef.current;
+            note.holding = false;
+            note.passed = true;
+            state.lastTiming = timing;
+            if (judgement !== 'PERFECT') state.perfectChain = 0;
+            recordJudgement(note.lane, judgement, [tailJudgement]);
+        }, [recordJudgement]);
+
+        // Handle note release (for slide notes) - the tail is judged against time + duration with
+        // the same ±GOOD window as a hit; letting go before that window is a hold break
+        const handleNoteRelease = useCallback((lane) => {
+            const currentTime = Spicetify.Player.getProgress() + (settings.offset || 0);
+            const state = gameStateRef.current;
+            state.holdingLanes[lane] = false;
+            state.notes.forEach(note => {
+                if (note.lane === lane && note.type === 'slide' && note.holding) {
+                    const releaseDelta = currentTime - (note.time + note.duration); // negative = early
+                    if (releaseDelta < -timing.GOOD) {
+                        finishSlide(note, 'MISS', 'BREAK', 'MISS');
+                    } else {
+                        const tailJudgement = getJudgementForOffset(Math.abs(releaseDelta), timing);
+                        finishSlide(note, getWorseJudgement(note.headJudgement, tailJudgement),
+                            tailJudgement === 'PERFECT' ? null : (releaseDelta > 0 ? 'LATE' : 'EARLY'), tailJudgement);
+                    }
+                }
+            });
+        }, [finishSlide, settings.offset, timing]);
+
         // Handle note hit
         const handleNoteHit = useCallback((lane) => {
             const currentTime = Spicetify.Player.getProgress() + (settings.offset || 0);
             const state = gameStateRef.current;
-            const isNoFail = settings.modifiers?.noFail;
 
             let closestNote = null;
             let closestDiff = Infinity;
             let timingDelta = 0; // Positive = late, negative = early
 
             // Input window: only process input if note is within range
-            // Allow early input up to TIMING.MISS before the note time
+            // Allow early input up to the preset's EARLY window before the note time
             // This prevents hitting notes that are still far away
-            const earlyInputWindow = TIMING.MISS; // 350ms early window (can press before note arrives)
-            const lateInputWindow = TIMING.MISS;  // 350ms late window
+            const earlyInputWindow = timing.EARLY; // can press before note arrives
+            const lateInputWindow = timing.LATE;
 
             state.notes.forEach(note => {
                 if (note.lane === lane && !note.hit && !note.passed) {
@@ -1322,15 +1100,15 @@ var visualizer = (() => {
 
             let judgement;
 
-            if (closestDiff <= TIMING.PERFECT) {
+            if (closestDiff <= timing.PERFECT) {
                 judgement = 'PERFECT';
                 state.lastTiming = null; // Perfect = no timing indicator
                 state.perfectChain++;
-            } else if (closestDiff <= TIMING.GREAT) {
+            } else if (closestDiff <= timing.GREAT) {
                 judgement = 'GREAT';
                 state.lastTiming = timingDelta > 0 ? 'LATE' : 'EARLY';
                 state.perfectChain = 0;
-            } else if (closestDiff <= TIMING.GOOD) {
+            } else if (closestDiff <= timing.GOOD) {
                 judgement = 'GOOD';
                 state.lastTiming = timingDelta > 0 ? 'LATE' : 'EARLY';
                 state.perfectChain = 0;
@@ -1340,73 +1118,43 @@ var visualizer = (() => {
                 state.perfectChain = 0;
             }
 
-            if (closestNote.type === 'slide') {
+            closestNote.hit = true;
+            if (judgement !== 'MISS') state.hitOffsets.push({ lane, offset: Math.round(timingDelta) });
+
+            // A slide head only starts the hold; the slide is judged once, when it is released
+            if (closestNote.type === 'slide' && judgement !== 'MISS') {
                 closestNote.holding = true;
-                closestNote.hit = true;
+                closestNote.headJudgement = judgement;
                 state.holdingLanes[lane] = true;
-            } else {
-                closestNote.hit = true;
-            }
-
-            // Check Fever mode (50+ combo)
-            const wasFever = state.isFever;
-            state.isFever = state.combo >= 50;
-            state.feverMultiplier = state.isFever ? 2.0 : 1.0;
-
-            // Calculate score with fever and combo multiplier
-            const baseScore = SCORE_VALUES[judgement];
-            const comboBonus = 1 + state.combo * 0.05;
-            const feverBonus = state.feverMultiplier;
-            state.score += baseScore * comboBonus * feverBonus;
-
-            state.judgements[judgement]++;
-
-            if (judgement !== 'MISS') {
-                state.combo++;
-                state.maxCombo = Math.max(state.maxCombo, state.combo);
                 addHitEffect(lane, judgement);
-                // Heal on hit
-                state.hp = Math.min(100, state.hp + (judgement === 'PERFECT' ? 2 : 1));
-            } else {
-                state.combo = 0;
-                state.isFullCombo = false;
-                state.missFlash = 1.0; // Trigger miss flash
-                // Damage on miss (skip if No Fail enabled)
-                if (!isNoFail) {
-                    state.hp = Math.max(0, state.hp - 15);
-                }
-            }
-
-            // Update real-time accuracy
-            const totalHits = state.judgements.PERFECT + state.judgements.GREAT + state.judgements.GOOD + state.judgements.MISS;
-            if (totalHits > 0) {
-                const weightedScore = state.judgements.PERFECT * 100 + state.judgements.GREAT * 70 + state.judgements.GOOD * 40;
-                state.currentAccuracy = (weightedScore / totalHits).toFixed(1);
+                countAccuracy(judgement);
+                state.lastJudgement = judgement;
+                state.lastJudgementTime = performance.now();
+                state.lastJudgementLane = lane;
+                return;
             }
+            // A missed slide head loses the tail with it
+            if (closestNote.type === 'slide') closestNote.passed = true;
 
-            state.lastJudgement = judgement;
-            state.lastJudgementTime = performance.now();
-            state.lastJudgementLane = lane;
-        }, [addHitEffect, settings.offset, settings.modifiers]);
+            recordJudgement(lane, judgement, closestNote.type === 'slide' ? ['MISS', 'MISS'] : [judgement]);
+        }, [addHitEffect, countAccuracy, recordJudgement, settings.offset, timing]);
 
         // Update slide notes
         const updateSlideNotes = useCallback(() => {
-            const currentTime = Spicetify.Player.getProgress();
+            const currentTime = Spicetify.Player.getProgress() + (settings.offset || 0);
             const state = gameStateRef.current;
 
             state.notes.forEach(note => {
                 if (note.type === 'slide' && note.holding && !note.passed) {
                     const endTime = note.time + note.duration;
 
-                    // Award points for holding
+                    // Holding sparkles on each tick; the slide itself is scored once at its tail
                     if (currentTime < endTime) {
                         const tickInterval = note.duration / note.totalTicks;
                         const expectedTicks = Math.floor((currentTime - note.time) / tickInterval);
 
                         while (note.ticksHit < expectedTicks && note.ticksHit < note.totalTicks) {
                             note.ticksHit++;
-                            state.score += 100 * (1 + state.combo * 0.02);
-                            state.combo++;
 
                             // Small particles for slide
                             const x = LANE_START_X + note.lane * LANE_WIDTH + LANE_WIDTH / 2;
@@ -1422,13 +1170,13 @@ var visualizer = (() => {
                                 });
                             }
                         }
-                    } else {
-                        note.passed = true;
-                        note.holding = false;
+                    } else if (currentTime > endTime + timing.GOOD) {
+                        // Never released inside the tail window: let go as the latest release that still counts
+                        finishSlide(note, getWorseJudgement(note.headJudgement, 'GOOD'), 'LATE', 'GOOD');
                     }
                 }
             });
-        }, []);
+        }, [finishSlide, settings.offset, timing]);
 
         // Check game end
         const checkGameEnd = useCallback(() => {
@@ -1444,7 +1192,8 @@ var visualizer = (() => {
             // For half mode, check if we've passed 50% of notes or time
             const halfModeEnd = isHalfMode && currentTime >= songEnd;
             
-            const allNotesDone = state.notes.every(n => n.hit || n.passed);
+            // A slide still being held has yet to be judged at its tail
+            const allNotesDone = state.notes.every(n => n.passed || (n.hit && n.type !== 'slide'));
             const isDead = state.hp <= 0;
             const shouldEnd = (allNotesDone && state.notes.length > 0) ||
                 (currentTime >= songEnd && songEnd > 0) || isDead || halfModeEnd;
@@ -1453,22 +1202,31 @@ var visualizer = (() => {
                 state.gameEnded = true;
                 Spicetify.Player.pause();
 
-                const hitNotes = state.judgements.PERFECT + state.judgements.GREAT + state.judgements.GOOD;
-                const accuracy = state.totalNotes > 0 ? (hitNotes / state.totalNotes * 100) : 0;
+                // Notes never reached count against accuracy, except the half that Half mode skips
+                const accuracy = getAccuracy(state.accuracyJudgements, accuracyModel, isHalfMode ? undefined : state.accuracyTotal);
                 const isFullCombo = state.isFullCombo && state.judgements.MISS === 0;
 
                 setTimeout(() => {
+                    const scoreBreakdown = getScoreBreakdown(state.judgements, state.maxCombo, state.totalNotes);
                     onGameEnd?.({
-                        score: Math.floor(state.score),
+                        score: scoreBreakdown.total,
+                        scoreBreakdown: scoreBreakdown,
+                        scoring: SCORING_VERSION,
                         maxCombo: state.maxCombo,
                         judgements: { ...state.judgements },
                         accuracy: accuracy.toFixed(2),
                         isFullCombo: isFullCombo,
-                        isDead: isDead // Pass death state
+                        isDead: isDead, // Pass death state
+                        seed: state.seed,
+                        judge: judgePreset,
+                        accuracyModel: accuracyModel,
+                        hitOffsets: state.hitOffsets.slice(),
+                        offset: settings.offset || 0,
+                        keyMode: LANES
                     });
                 }, 1500);
             }
-        }, [onGameEnd]);
+        }, [onGameEnd, judgePreset, accuracyModel, settings.offset, LANES]);
 
         // Game loop
         useEffect(() => {
@@ -1629,7 +1387,6 @@ var visualizer = (() => {
                 }
 
                 // Update and draw notes
-                const isNoFail = settings.modifiers?.noFail;
                 const offsetTime = currentTime + (settings.offset || 0);
                 state.notes.forEach(note => {
                     if (note.hit && note.type !== 'slide') return;
@@ -1637,20 +1394,10 @@ var visualizer = (() => {
 
                     // Check if note was missed
                     const noteEndTime = note.type === 'slide' ? note.time + note.duration : note.time;
-                    if (offsetTime > noteEndTime + TIMING.MISS && !note.hit) {
+                    if (offsetTime > noteEndTime + timing.MISS && !note.hit) {
                         note.passed = true;
-                        state.judgements.MISS++;
-                        state.combo = 0;
-                        state.isFullCombo = false;
                         state.perfectChain = 0;
-                        state.missFlash = 1;
-                        // Damage on miss (skip if No Fail enabled)
-                        if (!isNoFail) {
-                            state.hp = Math.max(0, state.hp - 15);
-                        }
-                        state.lastJudgement = 'MISS';
-                        state.lastJudgementTime = performance.now();
-                        state.lastJudgementLane = note.lane;
+                        recordJudgement(note.lane, 'MISS', note.type === 'slide' ? ['MISS', 'MISS'] : ['MISS']);
                         return;
                     }
 
@@ -1928,7 +1675,7 @@ var visualizer = (() => {
                     ctx.font = 'bold 12px "Segoe UI", Arial';
                     ctx.textAlign = 'center';
                     ctx.textBaseline = 'middle';
-                    ctx.fillText('FEVER x2', 0, 0);
+                    ctx.fillText('FEVER!', 0, 0);
                     ctx.restore();
                 }
 
@@ -1975,7 +1722,7 @@ var visualizer = (() => {
                 ctx.font = 'bold 10px monospace';
                 ctx.textAlign = 'right';
                 ctx.fillStyle = state.isFever ? '#FF3366' : '#888';
-                ctx.fillText(state.isFever ? 'FEVER x2' : 'FEVER', feverGaugeX - 5, feverGaugeY + 7);
+                ctx.fillText(state.isFever ? 'FEVER!' : 'FEVER', feverGaugeX - 5, feverGaugeY + 7);
 
                 // Combo milestones popup (only shown briefly)
                 const milestones = [50, 100, 200, 300, 500, 1000];
@@ -2036,7 +1783,7 @@ var visualizer = (() => {
                     cancelAnimationFrame(animationRef.current);
                 }
             };
-        }, [difficulty, updateSlideNotes, checkGameEnd]);
+        }, [difficulty, updateSlideNotes, checkGameEnd, recordJudgement]);
 
         return React.createElement('canvas', {
             ref: canvasRef,
@@ -2055,8 +1802,37 @@ var visualizer = (() => {
         return `${m}:${(s % 60).toString().padStart(2, '0')}`;
     }
 
+    function getTrackId(trackInfo) {
+        if (!trackInfo?.uri) return null;
+        try { return Spicetify.URI.fromString(trackInfo.uri).id; } catch { return null; }
+    }
+
+    // Trigger a browser download for text content (chart export)
+    function downloadFile(fileName, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Open the native file picker and hand the chosen file to the callback
+    function openFilePicker(accept, onFile) {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = accept;
+        input.onchange = () => {
+            if (input.files?.[0]) onFile(input.files[0]);
+        };
+        input.click();
+    }
+
     // ====== GAME SCREEN COMPONENT (Refactored) ======
-    function GameScreen({ audioAnalysis, difficulty, trackInfo, onGameEnd, onRestart, onQuit, settings }) {
+    function GameScreen({ chart, audioAnalysis, difficulty, trackInfo, onGameEnd, onRestart, onQuit, onExportChart, settings, startTime }) {
         const [gameState, setGameState] = useState({
             score: 0, combo: 0, maxCombo: 0, hp: 100,
             judgements: { PERFECT: 0, GREAT: 0, GOOD: 0, MISS: 0 },
@@ -2129,7 +1905,7 @@ var visualizer = (() => {
             return () => window.removeEventListener('keydown', handleKey);
         }, [gameState.isPaused, onRestart, onQuit]);
 
-        const duration = audioAnalysis?.track?.duration * 1000 || 0;
+        const duration = audioAnalysis?.track?.duration * 1000 || chart?.duration || 0;
         const albumArt = trackInfo?.album?.images?.[0]?.url ||
             Spicetify.Player.data?.item?.album?.images?.[0]?.url || '';
 
@@ -2197,7 +1973,16 @@ var visualizer = (() => {
                             background: 'transparent', color: '#FF3366', fontSize: '14px', fontWeight: '700',
                             cursor: 'pointer', letterSpacing: '1px', transition: 'all 0.2s'
                         }
-                    }, 'QUIT (Q)')
+                    }, 'QUIT (Q)'),
+                    React.createElement('button', {
+                        className: 'pause-btn',
+                        onClick: onExportChart,
+                        style: {
+                            padding: '14px 32px', borderRadius: '12px', border: '2px solid #00B4FF',
+                            background: 'transparent', color: '#00B4FF', fontSize: '14px', fontWeight: '700',
+                            cursor: 'pointer', letterSpacing: '1px', transition: 'all 0.2s'
+                        }
+                    }, 'EXPORT CHART')
                 ),
                 React.createElement('div', { style: { marginTop: '40px', textAlign: 'center' } },
                     React.createElement('div', { style: { fontSize: '12px', color: '#666', marginBottom: '8px' } }, 'CURRENT PROGRESS'),
@@ -2238,7 +2023,8 @@ var visualizer = (() => {
                 ),
                 // Accuracy display
                 React.createElement('div', { style: { display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '12px 0', borderTop: '1px solid rgba(255,255,255,0.1)', marginTop: '12px' } },
-                    React.createElement('span', { style: { fontSize: '12px', color: 'rgba(255,255,255,0.6)' } }, 'ACCURACY'),
+                    React.createElement('span', { style: { fontSize: '12px', color: 'rgba(255,255,255,0.6)' } },
+                        getAccuracyModelKey(settings.accuracyModel) === DEFAULT_ACCURACY_MODEL ? 'ACCURACY' : ACCURACY_MODELS[settings.accuracyModel].label),
                     React.createElement('span', { style: { fontSize: '18px', fontWeight: '700', color: gameState.accuracy >= 90 ? '#00D4AA' : (gameState.accuracy >= 70 ? '#FFB800' : '#FF3366') } }, `${gameState.accuracy}%`)
                 ),
                 // Fever indicator
@@ -2247,7 +2033,7 @@ var visualizer = (() => {
                         padding: '8px 16px', background: 'linear-gradient(90deg, #FF3366, #FFB800, #00D4AA)',
                         borderRadius: '20px', textAlign: 'center', fontWeight: '700', color: '#000', fontSize: '12px', marginTop: '12px'
                     }
-                }, 'FEVER x2'),
+                }, 'FEVER!'),
                 React.createElement('div', { className: 'stats-container' },
                     React.createElement('div', { className: 'stats-title' }, 'JUDGEMENT'),
                     ['PERFECT', 'GREAT', 'GOOD', 'MISS'].map(j =>
@@ -2271,7 +2057,10 @@ var visualizer = (() => {
                 ),
                 React.createElement('div', { className: 'diff-badge', style: { color: difficulty.color, borderColor: difficulty.color, marginTop: 'auto' } },
                     React.createElement('div', {}, difficulty.name),
-                    React.createElement('div', { style: { fontSize: '12px' } }, '★'.repeat(difficulty.stars))
+                    React.createElement('div', { style: { fontSize: '12px' } }, '★'.repeat(difficulty.stars)),
+                    React.createElement('div', { style: { fontSize: '10px', marginTop: '4px', color: 'rgba(255,255,255,0.6)' } },
+                        `JUDGE ${JUDGE_PRESETS[settings.judgePreset] ? settings.judgePreset : DEFAULT_JUDGE_PRESET}`
+                    )
                 )
             ),
 
@@ -2280,10 +2069,12 @@ var visualizer = (() => {
                 React.createElement('div', { className: 'game-canvas-wrapper' },
                     React.createElement(RhythmGame, {
                         gameStateRef: gameRef,
+                        chart,
                         audioAnalysis,
                         difficulty,
                         onGameEnd,
-                        settings
+                        settings,
+                        startTime
                     })
                 )
                 // Note: Key hints are displayed in the canvas itself, removed duplicate here
@@ -2330,15 +2121,16 @@ var visualizer = (() => {
     function getGameStats() {
         try {
             const data = localStorage.getItem(STATS_KEY);
-            return data ? JSON.parse(data) : { totalPlays: 0, totalScore: 0, avgAccuracy: 0, bestCombo: 0, plays: [] };
-        } catch (e) { return { totalPlays: 0, totalScore: 0, avgAccuracy: 0, bestCombo: 0, plays: [] }; }
+            return data ? JSON.parse(data) : { totalPlays: 0, totalScore: 0, normalizedTotalScore: 0, avgAccuracy: 0, bestCombo: 0, plays: [] };
+        } catch (e) { return { totalPlays: 0, totalScore: 0, normalizedTotalScore: 0, avgAccuracy: 0, bestCombo: 0, plays: [] }; }
     }
 
     function saveGameStats(result, trackInfo, difficulty) {
         try {
             const stats = getGameStats();
             stats.totalPlays++;
-            stats.totalScore += result.score;
+            // totalScore holds legacy-scale scores only and no longer grows
+            stats.normalizedTotalScore = (stats.normalizedTotalScore || 0) + result.score;
             stats.bestCombo = Math.max(stats.bestCombo, result.maxCombo);
             const totalAcc = stats.avgAccuracy * (stats.totalPlays - 1) + parseFloat(result.accuracy);
             stats.avgAccuracy = (totalAcc / stats.totalPlays).toFixed(2);
@@ -2347,9 +2139,13 @@ var visualizer = (() => {
                 artist: trackInfo?.artists?.[0]?.name || '',
                 difficulty: difficulty.name,
                 score: result.score,
+                scoring: result.scoring,
                 accuracy: result.accuracy,
                 rank: result.rank,
                 maxCombo: result.maxCombo,
+                rating: result.rating,
+                judge: result.judge,
+                accuracyModel: result.accuracyModel,
                 date: new Date().toISOString()
             });
             if (stats.plays.length > 20) stats.plays = stats.plays.slice(0, 20);
@@ -2377,21 +2173,290 @@ var visualizer = (() => {
         );
     }
 
+    // ====== OFFSET CALIBRATION ======
+    // Tap along to a steady beat; the median tap offset becomes settings.offset
+    const CALIBRATION_TAPS = 30;
+    const CALIBRATION_BPM = 120;
+    const CALIBRATION_WARMUP = 2000; // ms of beats before taps count
+    const CALIBRATION_OUTLIER_MADS = 3; // taps further than this many MADs from the median are dropped
+    const CALIBRATION_MIN_TOLERANCE = 20; // ms; keeps very consistent tappers from losing good taps
+    const CALIBRATION_STRIP_RANGE = 150; // ms either side shown on the tap strip
+
+    function getMedian(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+
+    // Taps are signed ms from the nearest beat (positive = late). Returns the offset that cancels
+    // the median, the spread (standard deviation) of the taps kept, and how many were dropped.
+    function getCalibrationResult(taps) {
+        if (!taps.length) return null;
+        const median = getMedian(taps);
+        const mad = getMedian(taps.map(t => Math.abs(t - median))) * 1.4826; // scaled to a standard deviation
+        const tolerance = Math.max(CALIBRATION_MIN_TOLERANCE, CALIBRATION_OUTLIER_MADS * mad);
+        const kept = taps.filter(t => Math.abs(t - median) <= tolerance);
+        const keptMedian = getMedian(kept);
+        const mean = kept.reduce((sum, t) => sum + t, 0) / kept.length;
+        const spread = Math.sqrt(kept.reduce((sum, t) => sum + (t - mean) ** 2, 0) / kept.length);
+        return { offset: -Math.round(keptMedian), median: keptMedian, spread, kept: kept.length, rejected: taps.length - kept.length };
+    }
+
+    // A clock in ms plus the beat nearest to any time on it
+    function createMetronomeClock() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        const ctx = new AudioContextClass();
+        const interval = 60 / CALIBRATION_BPM;
+        const startAt = ctx.currentTime + 0.3;
+        let nextBeat = 0;
+
+        const click = (time, isAccent) => {
+            const osc = ctx.createOscillator();
+            const gain = ctx.createGain();
+            osc.frequency.value = isAccent ? 1500 : 1000;
+            gain.gain.setValueAtTime(0.4, time);
+            gain.gain.exponentialRampToValueAtTime(0.001, time + 0.05);
+            osc.connect(gain).connect(ctx.destination);
+            osc.start(time);
+            osc.stop(time + 0.06);
+        };
+        // Schedule a little ahead so timer jitter never delays a click
+        const schedule = () => {
+            while (startAt + nextBeat * interval < ctx.currentTime + 0.2) {
+                click(startAt + nextBeat * interval, nextBeat % 4 === 0);
+                nextBeat++;
+            }
+        };
+        schedule();
+        const timer = setInterval(schedule, 50);
+        // Clicks are heard outputLatency after they are scheduled
+        const latency = (ctx.outputLatency || ctx.baseLatency || 0) * 1000;
+
+        return {
+            now: () => (ctx.currentTime - startAt) * 1000 - latency,
+            nearestBeat: (t) => Math.max(0, Math.round(t / (interval * 1000))) * interval * 1000,
+            stop: () => {
+                clearInterval(timer);
+                ctx.close();
+            }
+        };
+    }
+
+    // Follows the playing track, so its result includes Spotify's own output delay like a real play
+    function createTrackClock(beatTimes) {
+        const wasPlaying = Spicetify.Player.isPlaying();
+        if (!wasPlaying) Spicetify.Player.play();
+        return {
+            now: () => Spicetify.Player.getProgress(),
+            nearestBeat: (t) => beatTimes.reduce((best, b) => Math.abs(b - t) < Math.abs(best - t) ? b : best, beatTimes[0]),
+            stop: () => {
+                if (!wasPlaying) Spicetify.Player.pause();
+            }
+        };
+    }
+
+    function CalibrationScreen({ analysis, currentOffset, onSave, onClose }) {
+        const beatTimes = useMemo(() => (analysis?.beats || []).map(b => b.start * 1000), [analysis]);
+        const canUseTrack = beatTimes.length >= CALIBRATION_TAPS;
+        const [source, setSource] = useState('metronome'); // 'metronome' | 'track'
+        const [isRunning, setIsRunning] = useState(false);
+        const [taps, setTaps] = useState([]);
+        const clockRef = useRef(null);
+        const startedAtRef = useRef(0);
+        const pulseRef = useRef(null);
+
+        const stop = useCallback(() => {
+            clockRef.current?.stop();
+            clockRef.current = null;
+            setIsRunning(false);
+        }, []);
+
+        const start = () => {
+            stop();
+            try {
+                clockRef.current = source === 'track' ? createTrackClock(beatTimes) : createMetronomeClock();
+            } catch (e) {
+                console.error('[RhythmGame] Failed to start calibration:', e);
+                Spicetify.showNotification('Could not start the metronome', true);
+                return;
+            }
+            startedAtRef.current = clockRef.current.now();
+            setTaps([]);
+            setIsRunning(true);
+        };
+
+        useEffect(() => () => clockRef.current?.stop(), []);
+
+        useEffect(() => {
+            if (taps.length >= CALIBRATION_TAPS) stop();
+        }, [taps, stop]);
+
+        // Any key or a click on the pad is a tap; Escape stops
+        const tap = useCallback(() => {
+            const clock = clockRef.current;
+            if (!clock) return;
+            const t = clock.now();
+            if (t - startedAtRef.current < CALIBRATION_WARMUP) return;
+            setTaps(prev => prev.length < CALIBRATION_TAPS ? [...prev, t - clock.nearestBeat(t)] : prev);
+        }, []);
+
+        useEffect(() => {
+            if (!isRunning) return;
+            const handleKey = (e) => {
+                if (e.repeat || e.target?.tagName === 'INPUT') return;
+                e.preventDefault();
+                if (e.key === 'Escape') stop();
+                else tap();
+            };
+            window.addEventListener('keydown', handleKey);
+            return () => window.removeEventListener('keydown', handleKey);
+        }, [isRunning, tap, stop]);
+
+        // Flash the pad on every beat without re-rendering
+        useEffect(() => {
+            if (!isRunning) return;
+            let frame;
+            const draw = () => {
+                const clock = clockRef.current;
+                if (clock && pulseRef.current) {
+                    const t = clock.now();
+                    const sinceBeat = t - clock.nearestBeat(t);
+                    pulseRef.current.style.opacity = sinceBeat >= 0 && sinceBeat < 120 ? 1 - sinceBeat / 120 : 0;
+                }
+                frame = requestAnimationFrame(draw);
+            };
+            draw();
+            return () => cancelAnimationFrame(frame);
+        }, [isRunning]);
+
+        const result = !isRunning && taps.length >= CALIBRATION_TAPS ? getCalibrationResult(taps) : null;
+        const formatMs = (ms) => `${ms > 0 ? '+' : ''}${Math.round(ms)}ms`;
+
+        return React.createElement('div', { className: 'calibration-screen' },
+            React.createElement('div', { className: 'setting-title' }, 'OFFSET CALIBRATION'),
+            React.createElement('div', { className: 'setting-options' },
+                [{ key: 'metronome', label: 'METRONOME' }, { key: 'track', label: 'TRACK BEATS' }].map(opt => React.createElement('button', {
+                    key: opt.key,
+                    className: `setting-btn ${source === opt.key ? 'active' : ''}`,
+                    disabled: isRunning || (opt.key === 'track' && !canUseTrack),
+                    onClick: () => setSource(opt.key)
+                }, opt.label))
+            ),
+            React.createElement('div', { className: 'calibration-hint' },
+                source === 'track'
+                    ? 'Taps follow the current track, including Spotify\'s audio delay.'
+                    : `A ${CALIBRATION_BPM} BPM click measures how you tap.`
+            ),
+            React.createElement('div', { className: 'calibration-pad', onPointerDown: tap },
+                React.createElement('div', { ref: pulseRef, className: 'calibration-pulse' }),
+                React.createElement('div', { className: 'calibration-count' },
+                    isRunning ? `${taps.length} / ${CALIBRATION_TAPS}` : (result ? 'DONE' : 'READY')),
+                React.createElement('div', { className: 'calibration-hint' },
+                    isRunning ? 'Tap any key on the beat • ESC to stop' : 'Press START, listen for a few beats, then tap along')
+            ),
+            React.createElement('div', { className: 'calibration-strip' },
+                React.createElement('div', { className: 'calibration-strip-center' }),
+                taps.map((t, i) => React.createElement('div', {
+                    key: i,
+                    className: 'calibration-tap',
+                    style: { left: `${50 + Math.max(-1, Math.min(1, t / CALIBRATION_STRIP_RANGE)) * 50}%` }
+                }))
+            ),
+            result && React.createElement('div', { className: 'hit-error-stats' },
+                [{ l: 'MEDIAN', v: formatMs(result.median) },
+                { l: 'SPREAD', v: `±${Math.round(result.spread)}ms` },
+                { l: 'TAPS USED', v: `${result.kept} / ${taps.length}` },
+                { l: 'OFFSET', v: `${result.offset}ms` }
+                ].map(s => React.createElement('div', { key: s.l, className: 'hit-error-stat' },
+                    React.createElement('div', { className: 'hit-error-stat-value' }, s.v),
+                    React.createElement('div', { className: 'hit-error-stat-label' }, s.l)
+                ))
+            ),
+            React.createElement('div', { className: 'chart-actions' },
+                isRunning
+                    ? React.createElement('button', { className: 'chart-action-btn', onClick: stop }, 'STOP')
+                    : React.createElement('button', { className: 'chart-action-btn', onClick: start }, result ? 'RETRY' : 'START'),
+                result && React.createElement('button', {
+                    className: 'chart-action-btn',
+                    disabled: result.offset === currentOffset,
+                    onClick: () => onSave(result.offset)
+                }, result.offset === currentOffset ? 'SAVED' : `SAVE ${result.offset}ms`),
+                React.createElement('button', { className: 'chart-action-btn', onClick: onClose }, 'BACK')
+            )
+        );
+    }
+
     // ====== SETTINGS PANEL ======
-    function SettingsPanel({ settings, onSettingChange }) {
+    function SettingsPanel({ settings, onSettingChange, analysis }) {
         const colors = KEY_CONFIGS[settings.keyMode]?.colors || KEY_CONFIGS[4].colors;
+        const judgeTiming = getJudgeTiming(settings.judgePreset);
+        const [cacheInfo, setCacheInfo] = useState(null);
+        const [isCalibrating, setIsCalibrating] = useState(false);
+
+        useEffect(() => {
+            getAnalysisCacheInfo().then(setCacheInfo);
+        }, []);
+
+        const handleClearCache = async () => {
+            try {
+                await clearAnalysisCache();
+                Spicetify.showNotification('Analysis cache cleared');
+            } catch (e) {
+                console.error('[RhythmGame] Failed to clear analysis cache:', e);
+                Spicetify.showNotification('Failed to clear analysis cache', true);
+            }
+            setCacheInfo(await getAnalysisCacheInfo());
+        };
+
+        if (isCalibrating) {
+            return React.createElement('div', { className: 'content-panel' },
+                React.createElement(CalibrationScreen, {
+                    analysis,
+                    currentOffset: settings.offset || 0,
+                    onSave: (offset) => onSettingChange('offset', offset),
+                    onClose: () => setIsCalibrating(false)
+                })
+            );
+        }
+
         return React.createElement('div', { className: 'content-panel' },
             React.createElement('div', { className: 'settings-grid' },
                 // Speed
                 React.createElement('div', { className: 'setting-card' },
-                    React.createElement('div', { className: 'setting-title' }, 'NOTE SPEED'),
-                    React.createElement('div', { className: 'speed-control' },
-                        React.createElement('button', { className: 'speed-btn', onClick: () => onSettingChange('speed', Math.max(1, settings.speed - 1)) }, '−'),
-                        React.createElement('div', { className: 'speed-display' }, settings.speed),
-                        React.createElement('button', { className: 'speed-btn', onClick: () => onSettingChange('speed', Math.min(30, settings.speed + 1)) }, '+')
+                    React.createElement('div', { className: 'setting-title' }, 'NOTE SPEED'),
+                    React.createElement('div', { className: 'speed-control' },
+                        React.createElement('button', { className: 'speed-btn', onClick: () => onSettingChange('speed', Math.max(1, settings.speed - 1)) }, '−'),
+                        React.createElement('div', { className: 'speed-display' }, settings.speed),
+                        React.createElement('button', { className: 'speed-btn', onClick: () => onSettingChange('speed', Math.min(30, settings.speed + 1)) }, '+')
+                    ),
+                    React.createElement('div', { style: { fontSize: '10px', color: 'rgba(255,255,255,0.4)', marginTop: '8px', textAlign: 'center' } },
+                        `Speed: ${settings.speed <= 10 ? 'Normal' : settings.speed <= 20 ? 'Fast' : 'Ultra'}`
+                    )
+                ),
+                // Judge
+                React.createElement('div', { className: 'setting-card' },
+                    React.createElement('div', { className: 'setting-title' }, 'JUDGE'),
+                    React.createElement('div', { className: 'setting-options' },
+                        Object.keys(JUDGE_PRESETS).map(preset => React.createElement('button', {
+                            key: preset, className: `setting-btn ${(settings.judgePreset || DEFAULT_JUDGE_PRESET) === preset ? 'active' : ''}`,
+                            onClick: () => onSettingChange('judgePreset', preset)
+                        }, preset))
+                    ),
+                    React.createElement('div', { style: { fontSize: '10px', color: 'rgba(255,255,255,0.4)', marginTop: '8px', textAlign: 'center' } },
+                        `±${judgeTiming.PERFECT} / ${judgeTiming.GREAT} / ${judgeTiming.GOOD}ms • early ${judgeTiming.EARLY} / late ${judgeTiming.LATE}ms`
+                    )
+                ),
+                // Accuracy model
+                React.createElement('div', { className: 'setting-card' },
+                    React.createElement('div', { className: 'setting-title' }, 'ACCURACY'),
+                    React.createElement('div', { className: 'setting-options' },
+                        Object.keys(ACCURACY_MODELS).map(model => React.createElement('button', {
+                            key: model, className: `setting-btn ${getAccuracyModelKey(settings.accuracyModel) === model ? 'active' : ''}`,
+                            onClick: () => onSettingChange('accuracyModel', model)
+                        }, ACCURACY_MODELS[model].label))
                     ),
                     React.createElement('div', { style: { fontSize: '10px', color: 'rgba(255,255,255,0.4)', marginTop: '8px', textAlign: 'center' } },
-                        `Speed: ${settings.speed <= 10 ? 'Normal' : settings.speed <= 20 ? 'Fast' : 'Ultra'}`
+                        JUDGEMENT_ORDER.slice(0, 3).map(j => `${j} ${ACCURACY_MODELS[getAccuracyModelKey(settings.accuracyModel)].weights[j]}`).join(' / ')
                     )
                 ),
                 // Keys
@@ -2479,6 +2544,82 @@ var visualizer = (() => {
                     ),
                     React.createElement('div', { style: { fontSize: '10px', color: 'rgba(255,255,255,0.4)', marginTop: '8px', textAlign: 'center' } },
                         'Adjust if notes feel early/late'
+                    ),
+                    React.createElement('div', { style: { display: 'flex', justifyContent: 'center', marginTop: '8px' } },
+                        React.createElement('button', { className: 'chart-action-btn', onClick: () => setIsCalibrating(true) }, 'CALIBRATE')
+                    )
+                ),
+                // Lane Mapping
+                React.createElement('div', { className: 'setting-card' },
+                    React.createElement('div', { className: 'setting-title' }, 'LANE MAPPING'),
+                    React.createElement('div', { className: 'setting-options' },
+                        [{ key: 'auto', label: 'AUTO' }, { key: 'smart', label: 'PITCH' }, { key: 'timbre', label: 'TIMBRE' }].map(style =>
+                            React.createElement('button', {
+                                key: style.key, className: `setting-btn ${(settings.laneMapping || 'auto') === style.key ? 'active' : ''}`,
+                                onClick: () => onSettingChange('laneMapping', style.key)
+                            }, style.label)
+                        )
+                    ),
+                    React.createElement('div', { style: { fontSize: '10px', color: 'rgba(255,255,255,0.4)', marginTop: '8px', textAlign: 'center' } },
+                        settings.laneMapping === 'timbre' ? 'Instruments keep their own lanes'
+                            : settings.laneMapping === 'smart' ? 'Lanes follow pitch and loudness' : 'Each difficulty picks its own style'
+                    )
+                ),
+                // Difficulty Model
+                React.createElement('div', { className: 'setting-card' },
+                    React.createElement('div', { className: 'setting-title' }, 'DIFFICULTY MODEL'),
+                    React.createElement('div', { className: 'setting-options' },
+                        [{ key: 'preset', label: 'PRESET' }, { key: 'nps', label: 'TARGET NPS' }].map(model =>
+                            React.createElement('button', {
+                                key: model.key, className: `setting-btn ${(settings.difficultyModel || 'preset') === model.key ? 'active' : ''}`,
+                                onClick: () => onSettingChange('difficultyModel', model.key)
+                            }, model.label)
+                        )
+                    ),
+                    settings.difficultyModel === 'nps' && [
+                        { key: 'avg', label: 'AVG', min: 1, max: Math.min(30, settings.targetNps.peak) },
+                        { key: 'peak', label: 'PEAK', min: Math.max(1, settings.targetNps.avg), max: 40 }
+                    ].map(field => React.createElement('div', { key: field.key, className: 'speed-control', style: { marginTop: '8px' } },
+                        React.createElement('button', {
+                            className: 'speed-btn',
+                            onClick: () => onSettingChange('targetNps', { ...settings.targetNps, [field.key]: Math.max(field.min, settings.targetNps[field.key] - 0.5) })
+                        }, '−'),
+                        React.createElement('div', { style: { fontSize: '14px', fontWeight: '700', minWidth: '90px', textAlign: 'center' } },
+                            `${field.label} ${settings.targetNps[field.key].toFixed(1)}`
+                        ),
+                        React.createElement('button', {
+                            className: 'speed-btn',
+                            onClick: () => onSettingChange('targetNps', { ...settings.targetNps, [field.key]: Math.min(field.max, settings.targetNps[field.key] + 0.5) })
+                        }, '+')
+                    )),
+                    React.createElement('div', { style: { fontSize: '10px', color: 'rgba(255,255,255,0.4)', marginTop: '8px', textAlign: 'center' } },
+                        settings.difficultyModel === 'nps' ? 'Notes per second, the same at any tempo' : 'Density follows each difficulty and the tempo'
+                    )
+                ),
+                // Chart Seed
+                React.createElement('div', { className: 'setting-card' },
+                    React.createElement('div', { className: 'setting-title' }, 'CHART SEED'),
+                    React.createElement('input', {
+                        className: 'seed-input',
+                        type: 'text',
+                        value: settings.chartSeed || '',
+                        placeholder: 'AUTO',
+                        maxLength: 32,
+                        onChange: (e) => onSettingChange('chartSeed', e.target.value),
+                        onKeyDown: (e) => e.stopPropagation()
+                    }),
+                    React.createElement('div', { style: { fontSize: '10px', color: 'rgba(255,255,255,0.4)', marginTop: '8px', textAlign: 'center' } },
+                        'Same seed = same chart'
+                    )
+                ),
+                // Analysis Cache
+                React.createElement('div', { className: 'setting-card' },
+                    React.createElement('div', { className: 'setting-title' }, 'ANALYSIS CACHE'),
+                    React.createElement('div', { className: 'setting-options' },
+                        React.createElement('button', { className: 'setting-btn', onClick: handleClearCache }, 'CLEAR CACHE')
+                    ),
+                    React.createElement('div', { style: { fontSize: '10px', color: 'rgba(255,255,255,0.4)', marginTop: '8px', textAlign: 'center' } },
+                        cacheInfo ? `${cacheInfo.entries} tracks • ${(cacheInfo.bytes / (1024 * 1024)).toFixed(1)} MB` : '…'
                     )
                 ),
                 // BG Visualizer
@@ -2510,10 +2651,11 @@ var visualizer = (() => {
         return React.createElement('div', { className: 'content-panel stats-screen' },
             React.createElement('div', { className: 'stats-overview' },
                 [{ label: 'TOTAL PLAYS', value: stats.totalPlays },
-                { label: 'TOTAL SCORE', value: stats.totalScore.toLocaleString() },
+                { label: 'TOTAL SCORE', value: (stats.normalizedTotalScore || 0).toLocaleString() },
+                stats.totalScore > 0 && { label: 'LEGACY TOTAL', value: stats.totalScore.toLocaleString() },
                 { label: 'AVG ACCURACY', value: `${stats.avgAccuracy}%` },
                 { label: 'BEST COMBO', value: stats.bestCombo }
-                ].map((s, i) => React.createElement('div', { key: i, className: 'stat-card' },
+                ].filter(Boolean).map((s, i) => React.createElement('div', { key: i, className: 'stat-card' },
                     React.createElement('div', { className: 'stat-card-value' }, s.value),
                     React.createElement('div', { className: 'stat-card-label' }, s.label)
                 ))
@@ -2526,7 +2668,9 @@ var visualizer = (() => {
                         React.createElement('div', { className: 'play-rank', style: { background: getRankFromAccuracy(parseFloat(p.accuracy)).color, color: '#000' } }, p.rank),
                         React.createElement('div', { className: 'play-info' },
                             React.createElement('div', { className: 'play-track' }, p.track),
-                            React.createElement('div', { className: 'play-meta' }, `${p.artist} • ${p.difficulty} • ${p.accuracy}%`)
+                            React.createElement('div', { className: 'play-meta' },
+                                [p.artist, p.rating !== undefined ? `${p.difficulty} ${p.rating.toFixed(1)}` : p.difficulty, p.judge && `JUDGE ${p.judge}`, `${p.accuracy}%${p.accuracyModel && p.accuracyModel !== DEFAULT_ACCURACY_MODEL ? ` ${ACCURACY_MODELS[getAccuracyModelKey(p.accuracyModel)].label}` : ''}`, isLegacyScore(p) && 'LEGACY'].filter(Boolean).join(' • ')
+                            )
                         ),
                         React.createElement('div', { className: 'play-score' }, p.score.toLocaleString())
                     ))
@@ -2534,21 +2678,526 @@ var visualizer = (() => {
         );
     }
 
+    // ====== CHART EDITOR ======
+    const EDITOR_WIDTH = 420;
+    const EDITOR_HEIGHT = 560;
+    const EDITOR_RULER_WIDTH = 56;
+    const EDITOR_CURSOR_Y = 460; // Cursor line works like the judge line - notes above it are still to come
+    const EDITOR_NOTE_HEIGHT = 12;
+    const EDITOR_SNAPS = [4, 8, 16]; // Beat subdivisions: 1/4, 1/8 and 1/16 beat
+    const EDITOR_ZOOMS = [0.1, 0.15, 0.25, 0.4, 0.6]; // Pixels per ms
+
+    // Beat start times (ms) from the analysis, or a 120 BPM grid when there is none
+    function getBeatGrid(analysis, duration) {
+        const beats = (analysis?.beats || []).map(b => b.start * 1000);
+        if (beats.length >= 2) return beats;
+        const beatInterval = 60000 / (analysis?.track?.tempo || 120);
+        const grid = [];
+        for (let t = 0; t <= Math.max(duration, beatInterval); t += beatInterval) grid.push(t);
+        return grid;
+    }
+
+    // Beat index + beat length around a time, extrapolating past the first/last beat
+    function getBeatAt(time, beatTimes) {
+        let i = 0;
+        while (i < beatTimes.length - 2 && beatTimes[i + 1] <= time) i++;
+        const length = beatTimes[i + 1] - beatTimes[i];
+        const start = beatTimes[i] + Math.floor((time - beatTimes[i]) / length) * length;
+        return { start, length };
+    }
+
+    // Snap a time to the nearest 1/division of its beat
+    function snapToBeatGrid(time, beatTimes, division) {
+        const beat = getBeatAt(time, beatTimes);
+        const step = beat.length / division;
+        return beat.start + Math.round((time - beat.start) / step) * step;
+    }
+
+    function ChartEditor({ chart, analysis, difficulty, onChartChange, onCreateChart, onTestFromHere }) {
+        const canvasRef = useRef(null);
+        const [tool, setTool] = useState('tap');
+        const [snap, setSnap] = useState(4);
+        const [zoomIndex, setZoomIndex] = useState(2);
+        const [cursorTime, setCursorTime] = useState(() => Spicetify.Player.getProgress() || 0);
+        const [isPlaying, setIsPlaying] = useState(false);
+        const [selectedId, setSelectedId] = useState(null);
+        const [drag, setDrag] = useState(null); // { mode: 'scrub' | 'move' | 'slide', ... }
+        const nextIdRef = useRef(0);
+
+        const keyMode = chart?.keyMode || 4;
+        const laneColors = (KEY_CONFIGS[keyMode] || KEY_CONFIGS[4]).colors;
+        const laneWidth = (EDITOR_WIDTH - EDITOR_RULER_WIDTH) / keyMode;
+        const pxPerMs = EDITOR_ZOOMS[zoomIndex];
+        const duration = (analysis?.track?.duration || 0) * 1000 || chart?.duration || 0;
+        const beatTimes = useMemo(() => getBeatGrid(analysis, duration), [analysis, duration]);
+        const barTimes = useMemo(() => new Set((analysis?.bars || []).map(b => Math.round(b.start * 1000))), [analysis]);
+
+        const timeToY = useCallback((time) => EDITOR_CURSOR_Y - (time - cursorTime) * pxPerMs, [cursorTime, pxPerMs]);
+        const yToTime = useCallback((y) => cursorTime + (EDITOR_CURSOR_Y - y) / pxPerMs, [cursorTime, pxPerMs]);
+
+        const updateNotes = useCallback((notes) => {
+            const sorted = [...notes].sort((a, b) => a.time - b.time || a.lane - b.lane);
+            onChartChange({ ...chart, notes: sorted, edited: true });
+        }, [chart, onChartChange]);
+
+        const moveCursor = useCallback((time, seek = true) => {
+            const clamped = Math.max(0, duration > 0 ? Math.min(duration, time) : time);
+            setCursorTime(clamped);
+            if (seek) Spicetify.Player.seek(Math.round(clamped));
+        }, [duration]);
+
+        // Follow Spotify playback while it runs
+        useEffect(() => {
+            const interval = setInterval(() => {
+                const playing = Spicetify.Player.isPlaying();
+                setIsPlaying(playing);
+                if (playing) setCursorTime(Spicetify.Player.getProgress());
+            }, 50);
+            return () => clearInterval(interval);
+        }, []);
+
+        // Find the note under a canvas point
+        const hitTestNote = useCallback((x, y) => {
+            if (!chart) return null;
+            const lane = Math.floor((x - EDITOR_RULER_WIDTH) / laneWidth);
+            return chart.notes.find(note => {
+                if (note.lane !== lane) return false;
+                const startY = timeToY(note.time);
+                const endY = note.type === 'slide' ? timeToY(note.time + note.duration) : startY;
+                return y <= startY + EDITOR_NOTE_HEIGHT / 2 && y >= endY - EDITOR_NOTE_HEIGHT / 2;
+            }) || null;
+        }, [chart, laneWidth, timeToY]);
+
+        const getCanvasPoint = (e) => {
+            const rect = canvasRef.current.getBoundingClientRect();
+            return {
+                x: (e.clientX - rect.left) * (EDITOR_WIDTH / (rect.width || EDITOR_WIDTH)),
+                y: (e.clientY - rect.top) * (EDITOR_HEIGHT / (rect.height || EDITOR_HEIGHT))
+            };
+        };
+
+        const handleMouseDown = (e) => {
+            if (!chart || e.button !== 0) return;
+            const { x, y } = getCanvasPoint(e);
+            if (x < EDITOR_RULER_WIDTH) {
+                setDrag({ mode: 'scrub' });
+                moveCursor(yToTime(y));
+                return;
+            }
+            const lane = Math.max(0, Math.min(keyMode - 1, Math.floor((x - EDITOR_RULER_WIDTH) / laneWidth)));
+            const time = snapToBeatGrid(yToTime(y), beatTimes, snap);
+            const note = hitTestNote(x, y);
+            if (note) {
+                setSelectedId(note.id);
+                setDrag({ mode: 'move', id: note.id, grabOffset: yToTime(y) - note.time, lane: note.lane, time: note.time });
+            } else if (tool === 'slide') {
+                setDrag({ mode: 'slide', lane, start: time, end: time });
+            } else {
+                const id = `edit-${Date.now()}-${nextIdRef.current++}`;
+                updateNotes([...chart.notes, { id, type: 'tap', lane, time }]);
+                setSelectedId(id);
+            }
+        };
+
+        const handleMouseMove = (e) => {
+            if (!drag) return;
+            const { x, y } = getCanvasPoint(e);
+            if (drag.mode === 'scrub') {
+                moveCursor(yToTime(y));
+            } else if (drag.mode === 'move') {
+                const lane = Math.max(0, Math.min(keyMode - 1, Math.floor((x - EDITOR_RULER_WIDTH) / laneWidth)));
+                const time = Math.max(0, snapToBeatGrid(yToTime(y) - drag.grabOffset, beatTimes, snap));
+                setDrag({ ...drag, lane, time });
+            } else if (drag.mode === 'slide') {
+                setDrag({ ...drag, end: snapToBeatGrid(yToTime(y), beatTimes, snap) });
+            }
+        };
+
+        const handleMouseUp = () => {
+            if (!drag) return;
+            if (drag.mode === 'move') {
+                updateNotes(chart.notes.map(n => n.id === drag.id ? { ...n, lane: drag.lane, time: drag.time } : n));
+            } else if (drag.mode === 'slide') {
+                const start = Math.min(drag.start, drag.end);
+                // A click without dragging makes a one-beat slide
+                const length = Math.abs(drag.end - drag.start) || getBeatAt(start, beatTimes).length;
+                const id = `edit-${Date.now()}-${nextIdRef.current++}`;
+                updateNotes([...chart.notes, { id, type: 'slide', lane: drag.lane, time: start, duration: length }]);
+                setSelectedId(id);
+            }
+            setDrag(null);
+        };
+
+        const deleteNote = useCallback((id) => {
+            if (!chart || !id) return;
+            updateNotes(chart.notes.filter(n => n.id !== id));
+            setSelectedId(null);
+        }, [chart, updateNotes]);
+
+        const handleContextMenu = (e) => {
+            e.preventDefault();
+            const { x, y } = getCanvasPoint(e);
+            const note = hitTestNote(x, y);
+            if (note) deleteNote(note.id);
+        };
+
+        // Wheel scrubs by one snap step (non-passive so the page doesn't scroll)
+        useEffect(() => {
+            const canvas = canvasRef.current;
+            if (!canvas) return;
+            const handleWheel = (e) => {
+                e.preventDefault();
+                const step = getBeatAt(cursorTime, beatTimes).length / snap;
+                const target = snapToBeatGrid(cursorTime, beatTimes, snap) + (e.deltaY < 0 ? step : -step);
+                moveCursor(target);
+            };
+            canvas.addEventListener('wheel', handleWheel, { passive: false });
+            return () => canvas.removeEventListener('wheel', handleWheel);
+        }, [cursorTime, beatTimes, snap, moveCursor, chart]);
+
+        // Keyboard: Delete removes the selection, arrows step the cursor
+        useEffect(() => {
+            const handleKey = (e) => {
+                if (e.target?.tagName === 'INPUT') return;
+                if (e.key === 'Delete' || e.key === 'Backspace') {
+                    e.preventDefault();
+                    deleteNote(selectedId);
+                } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+                    e.preventDefault();
+                    const step = getBeatAt(cursorTime, beatTimes).length / snap;
+                    moveCursor(snapToBeatGrid(cursorTime, beatTimes, snap) + (e.key === 'ArrowUp' ? step : -step));
+                }
+            };
+            window.addEventListener('keydown', handleKey);
+            return () => window.removeEventListener('keydown', handleKey);
+        }, [selectedId, deleteNote, cursorTime, beatTimes, snap, moveCursor]);
+
+        // Draw timeline
+        useEffect(() => {
+            const canvas = canvasRef.current;
+            if (!canvas || !chart) return;
+            const ctx = canvas.getContext('2d');
+            const dpr = window.devicePixelRatio || 1;
+            canvas.width = EDITOR_WIDTH * dpr;
+            canvas.height = EDITOR_HEIGHT * dpr;
+            ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+            ctx.fillStyle = '#0a0a18';
+            ctx.fillRect(0, 0, EDITOR_WIDTH, EDITOR_HEIGHT);
+
+            // Lanes
+            for (let i = 0; i < keyMode; i++) {
+                const x = EDITOR_RULER_WIDTH + i * laneWidth;
+                ctx.fillStyle = i % 2 === 0 ? 'rgba(30, 30, 60, 0.5)' : 'rgba(24, 24, 48, 0.5)';
+                ctx.fillRect(x, 0, laneWidth, EDITOR_HEIGHT);
+            }
+
+            // Beat grid - bars, beats and snap subdivisions
+            const visibleStart = yToTime(EDITOR_HEIGHT);
+            const visibleEnd = yToTime(0);
+            ctx.font = '10px monospace';
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'middle';
+            for (let i = 0; i < beatTimes.length - 1; i++) {
+                const beatStart = beatTimes[i];
+                const beatLength = beatTimes[i + 1] - beatStart;
+                if (beatStart + beatLength < visibleStart) continue;
+                if (beatStart > visibleEnd) break;
+                for (let s = 0; s < snap; s++) {
+                    const y = timeToY(beatStart + (beatLength / snap) * s);
+                    const isBeat = s === 0;
+                    const isBar = isBeat && barTimes.has(Math.round(beatStart));
+                    ctx.strokeStyle = isBar ? 'rgba(255,255,255,0.45)' : (isBeat ? 'rgba(255,255,255,0.2)' : 'rgba(255,255,255,0.06)');
+                    ctx.lineWidth = isBar ? 2 : 1;
+                    ctx.beginPath();
+                    ctx.moveTo(EDITOR_RULER_WIDTH, y);
+                    ctx.lineTo(EDITOR_WIDTH, y);
+                    ctx.stroke();
+                    if (isBeat) {
+                        ctx.fillStyle = isBar ? '#fff' : 'rgba(255,255,255,0.35)';
+                        ctx.fillText(formatTime(beatStart), EDITOR_RULER_WIDTH - 6, y);
+                    }
+                }
+            }
+
+            // Notes (a dragged note is drawn at its preview position)
+            const drawNote = (note, lane, time, isSelected) => {
+                const x = EDITOR_RULER_WIDTH + lane * laneWidth;
+                const y = timeToY(time);
+                const color = laneColors[lane];
+                if (note.type === 'slide') {
+                    const endY = timeToY(time + note.duration);
+                    if (y < -EDITOR_NOTE_HEIGHT || endY > EDITOR_HEIGHT + EDITOR_NOTE_HEIGHT) return;
+                    ctx.fillStyle = color + '88';
+                    ctx.fillRect(x + laneWidth * 0.3, endY, laneWidth * 0.4, y - endY);
+                    ctx.fillStyle = color;
+                    ctx.fillRect(x + 4, endY - EDITOR_NOTE_HEIGHT / 2, laneWidth - 8, EDITOR_NOTE_HEIGHT / 2);
+                } else if (y < -EDITOR_NOTE_HEIGHT || y > EDITOR_HEIGHT + EDITOR_NOTE_HEIGHT) {
+                    return;
+                }
+                ctx.fillStyle = color;
+                ctx.fillRect(x + 4, y - EDITOR_NOTE_HEIGHT / 2, laneWidth - 8, EDITOR_NOTE_HEIGHT);
+                if (isSelected) {
+                    ctx.strokeStyle = '#fff';
+                    ctx.lineWidth = 2;
+                    ctx.strokeRect(x + 3, y - EDITOR_NOTE_HEIGHT / 2 - 1, laneWidth - 6, EDITOR_NOTE_HEIGHT + 2);
+                }
+            };
+            chart.notes.forEach(note => {
+                if (drag?.mode === 'move' && drag.id === note.id) {
+                    drawNote(note, drag.lane, drag.time, true);
+                } else {
+                    drawNote(note, note.lane, note.time, note.id === selectedId);
+                }
+            });
+            if (drag?.mode === 'slide') {
+                const start = Math.min(drag.start, drag.end);
+                drawNote({ type: 'slide', duration: Math.abs(drag.end - drag.start) }, drag.lane, start, true);
+            }
+
+            // Cursor line
+            ctx.strokeStyle = '#00D4AA';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(0, EDITOR_CURSOR_Y);
+            ctx.lineTo(EDITOR_WIDTH, EDITOR_CURSOR_Y);
+            ctx.stroke();
+            ctx.fillStyle = '#00D4AA';
+            ctx.textAlign = 'left';
+            ctx.fillText(formatTime(cursorTime), 4, EDITOR_CURSOR_Y - 10);
+        }, [chart, keyMode, laneWidth, laneColors, beatTimes, barTimes, snap, cursorTime, timeToY, yToTime, selectedId, drag]);
+
+        if (!chart) {
+            return React.createElement('div', { className: 'content-panel editor-empty' },
+                React.createElement('div', { className: 'no-track-text' }, 'No chart to edit yet'),
+                React.createElement('div', { className: 'no-track-hint', style: { marginBottom: '16px' } }, 'Generate one from the selected difficulty or import a chart on the PLAY tab'),
+                React.createElement('button', { className: 'start-button', onClick: onCreateChart }, `GENERATE ${difficulty?.name || ''} CHART`)
+            );
+        }
+
+        const selectedNote = chart.notes.find(n => n.id === selectedId);
+
+        return React.createElement('div', { className: 'content-panel editor-panel' },
+            React.createElement('canvas', {
+                ref: canvasRef,
+                className: 'editor-canvas',
+                style: { width: `${EDITOR_WIDTH}px`, height: `${EDITOR_HEIGHT}px` },
+                onMouseDown: handleMouseDown,
+                onMouseMove: handleMouseMove,
+                onMouseUp: handleMouseUp,
+                onMouseLeave: handleMouseUp,
+                onContextMenu: handleContextMenu
+            }),
+            React.createElement('div', { className: 'editor-sidebar' },
+                React.createElement('div', { className: 'setting-card' },
+                    React.createElement('div', { className: 'setting-title' }, 'TOOL'),
+                    React.createElement('div', { className: 'setting-options' },
+                        ['tap', 'slide'].map(t => React.createElement('button', {
+                            key: t, className: `setting-btn ${tool === t ? 'active' : ''}`, onClick: () => setTool(t)
+                        }, t.toUpperCase()))
+                    )
+                ),
+                React.createElement('div', { className: 'setting-card' },
+                    React.createElement('div', { className: 'setting-title' }, 'SNAP'),
+                    React.createElement('div', { className: 'setting-options' },
+                        EDITOR_SNAPS.map(s => React.createElement('button', {
+                            key: s, className: `setting-btn ${snap === s ? 'active' : ''}`, onClick: () => setSnap(s)
+                        }, `1/${s}`))
+                    )
+                ),
+                React.createElement('div', { className: 'setting-card' },
+                    React.createElement('div', { className: 'setting-title' }, 'ZOOM'),
+                    React.createElement('div', { className: 'speed-control' },
+                        React.createElement('button', { className: 'speed-btn', onClick: () => setZoomIndex(i => Math.max(0, i - 1)) }, '−'),
+                        React.createElement('div', { className: 'speed-display', style: { fontSize: '16px' } }, `${zoomIndex + 1}`),
+                        React.createElement('button', { className: 'speed-btn', onClick: () => setZoomIndex(i => Math.min(EDITOR_ZOOMS.length - 1, i + 1)) }, '+')
+                    )
+                ),
+                React.createElement('div', { className: 'setting-card' },
+                    React.createElement('div', { className: 'setting-title' }, 'PLAYBACK'),
+                    React.createElement('div', { className: 'setting-options' },
+                        React.createElement('button', {
+                            className: `setting-btn ${isPlaying ? 'active' : ''}`,
+                            onClick: () => {
+                                if (isPlaying) {
+                                    Spicetify.Player.pause();
+                                } else {
+                                    Spicetify.Player.seek(Math.round(cursorTime));
+                                    Spicetify.Player.play();
+                                }
+                            }
+                        }, isPlaying ? 'PAUSE' : 'PLAY'),
+                        React.createElement('button', { className: 'setting-btn', onClick: () => moveCursor(0) }, 'START')
+                    )
+                ),
+                React.createElement('div', { className: 'editor-info' },
+                    `${keyMode}K • ${chart.notes.length} notes`,
+                    selectedNote && React.createElement('div', null,
+                        `${selectedNote.type.toUpperCase()} • lane ${selectedNote.lane + 1} • ${formatTime(selectedNote.time)}`
+                    )
+                ),
+                selectedNote && React.createElement('button', { className: 'chart-action-btn', onClick: () => deleteNote(selectedId) }, 'DELETE NOTE'),
+                React.createElement('button', {
+                    className: 'start-button',
+                    onClick: () => {
+                        Spicetify.Player.pause();
+                        onTestFromHere(Math.round(cursorTime));
+                    }
+                }, 'TEST FROM HERE'),
+                React.createElement('div', { className: 'editor-help' },
+                    'Click: place • Drag: move • Right-click / Del: delete • Wheel / ↑↓: scrub • Ruler: seek'
+                )
+            )
+        );
+    }
+
+    // ====== CHART CHECK ======
+    // Debug list of what the engine's sanity checker repaired in the generated chart
+    function ChartCheckPanel({ fixes }) {
+        const formatFixTime = (ms) => `${formatTime(ms)}.${Math.floor(ms % 1000).toString().padStart(3, '0')}`;
+        return React.createElement('details', { className: 'chart-check' },
+            React.createElement('summary', { className: 'chart-seed' },
+                fixes.length ? `CHART CHECK • ${fixes.length} FIX${fixes.length === 1 ? '' : 'ES'}` : 'CHART CHECK • OK'
+            ),
+            fixes.length > 0 && React.createElement('div', { className: 'chart-check-list' },
+                fixes.map((fix, i) => React.createElement('div', { key: i, className: 'chart-check-item' },
+                    React.createElement('span', { className: 'chart-check-time' }, formatFixTime(fix.time)),
+                    React.createElement('span', { className: 'chart-check-rule' }, `L${fix.lane + 1} ${fix.rule.toUpperCase()}`),
+                    React.createElement('span', null, `${fix.message} → ${fix.action}`)
+                ))
+            )
+        );
+    }
+
+    // ====== CUSTOM DIFFICULTY EDITOR ======
+    function CustomDifficultyEditor({ initialDraft, onSave, onDelete, onCancel }) {
+        const [draft, setDraft] = useState(initialDraft);
+        const isExisting = Boolean(initialDraft.originalName);
+
+        return React.createElement('div', { className: 'custom-diff-editor' },
+            React.createElement('div', { className: 'imported-chart-label' }, isExisting ? 'EDIT CUSTOM DIFFICULTY' : 'NEW CUSTOM DIFFICULTY'),
+            React.createElement('input', {
+                className: 'seed-input',
+                type: 'text',
+                value: draft.name,
+                placeholder: 'NAME',
+                maxLength: CUSTOM_DIFFICULTY_NAME_LENGTH,
+                onChange: (e) => setDraft({ ...draft, name: e.target.value.toUpperCase() }),
+                onKeyDown: (e) => e.stopPropagation()
+            }),
+            React.createElement('div', { className: 'custom-diff-fields' },
+                CUSTOM_DIFFICULTY_FIELDS.map(field => React.createElement('label', { key: field.key, className: 'custom-diff-field' },
+                    React.createElement('span', { className: 'custom-diff-label' }, field.label),
+                    React.createElement('input', {
+                        type: 'range',
+                        min: field.min,
+                        max: field.max,
+                        step: field.step,
+                        value: draft[field.key],
+                        onChange: (e) => setDraft({ ...draft, [field.key]: parseFloat(e.target.value) }),
+                        onKeyDown: (e) => e.stopPropagation()
+                    }),
+                    React.createElement('span', { className: 'custom-diff-value' }, field.format(draft[field.key]))
+                ))
+            ),
+            React.createElement('div', { className: 'chart-actions' },
+                React.createElement('button', { className: 'chart-action-btn', onClick: () => onSave(draft) }, 'SAVE'),
+                isExisting && React.createElement('button', { className: 'chart-action-btn', onClick: () => onDelete(initialDraft.originalName) }, 'DELETE'),
+                React.createElement('button', { className: 'chart-action-btn', onClick: onCancel }, 'CANCEL')
+            )
+        );
+    }
+
     // ====== TITLE SCREEN COMPONENT (Refactored) ======
-    function TitleScreen({ trackInfo, onSelectDifficulty, settings, onSettingChange, isFullscreen, onToggleFullscreen }) {
-        const [activeTab, setActiveTab] = useState('play');
+    function TitleScreen({ trackInfo, audioAnalysis, isAnalyzingLocalAudio, onAnalyzeLocalAudio, initialTab, onTabChange, onSelectDifficulty, importedChart, onImportChart, onPlayImportedChart, onClearImportedChart, onImportedChartOffsetChange, importChoices, onChooseImportedChart, onEditChart, onCreateEditorChart, onTestFromHere, settings, onSettingChange, isFullscreen, onToggleFullscreen }) {
+        const [activeTab, setActiveTab] = useState(initialTab || 'play');
         const [selectedDiff, setSelectedDiff] = useState(2);
         const [highScore, setHighScore] = useState(null);
+        const [customDifficulties, setCustomDifficulties] = useState(getCustomDifficulties);
+        const [customDraft, setCustomDraft] = useState(null);
+
+        const difficulties = useMemo(() => [...DIFFICULTIES, ...customDifficulties], [customDifficulties]);
+        const selectedDifficulty = difficulties[selectedDiff] || DIFFICULTIES[2];
+
+        const trackId = useMemo(() => getTrackId(trackInfo), [trackInfo]);
+        const [tempoOverride, setTempoOverrideState] = useState(() => getTempoOverride(trackId));
+        useEffect(() => setTempoOverrideState(getTempoOverride(trackId)), [trackId]);
+        const tempoMultiplier = useMemo(
+            () => audioAnalysis ? RhythmChartEngine.getTempoMultiplier(audioAnalysis, tempoOverride) : 1,
+            [audioAnalysis, tempoOverride]
+        );
+        // The editor's beat grid follows the same corrected tempo as generation
+        const correctedAnalysis = useMemo(
+            () => RhythmChartEngine.applyTempoCorrection(audioAnalysis, tempoMultiplier),
+            [audioAnalysis, tempoMultiplier]
+        );
+        const handleTempoOverride = (multiplier) => {
+            setTempoOverride(trackId, multiplier);
+            setTempoOverrideState(multiplier);
+        };
 
-        const trackId = useMemo(() => {
-            if (!trackInfo?.uri) return null;
-            try { return Spicetify.URI.fromString(trackInfo.uri).id; } catch { return null; }
-        }, [trackInfo]);
+        const chartSeed = useMemo(
+            () => RhythmChartEngine.getChartSeed(trackId, selectedDifficulty.name, settings.keyMode, settings.chartSeed),
+            [trackId, selectedDifficulty, settings.keyMode, settings.chartSeed]
+        );
+
+        // Rate what each difficulty actually generates for this track, not its preset stars. Charts are
+        // built one per idle slot, the selected difficulty first, and the one started is reused.
+        const [generatedCharts, setGeneratedCharts] = useState({});
+        const [ratings, setRatings] = useState({});
+        const selectedNameRef = useRef(selectedDifficulty.name);
+        selectedNameRef.current = selectedDifficulty.name;
+        useEffect(() => {
+            setGeneratedCharts({});
+            setRatings({});
+            if (!audioAnalysis) return;
+            const options = getChartOptions(settings, trackId);
+            const queue = [...difficulties];
+            let handle = null;
+            const generateNext = () => {
+                const selectedIndex = queue.findIndex(diff => diff.name === selectedNameRef.current);
+                const [diff] = queue.splice(Math.max(0, selectedIndex), 1);
+                if (!diff) return;
+                const chart = RhythmChartEngine.generateChart(audioAnalysis, diff, options);
+                const rating = RhythmChartEngine.rateChart(chart).rating;
+                setGeneratedCharts(prev => ({ ...prev, [diff.name]: chart }));
+                setRatings(prev => ({ ...prev, [diff.name]: rating }));
+                handle = scheduleIdle(generateNext);
+            };
+            handle = scheduleIdle(generateNext);
+            return () => cancelIdle(handle);
+        }, [audioAnalysis, difficulties, trackId, tempoOverride, settings.keyMode, settings.modifiers, settings.chartSeed, settings.laneMapping, settings.difficultyModel, settings.targetNps]);
+        const importedRating = useMemo(() => importedChart && RhythmChartEngine.rateChart(importedChart).rating, [importedChart]);
 
         useEffect(() => {
-            if (trackId) setHighScore(getHighScore(trackId, DIFFICULTIES[selectedDiff]?.name));
+            if (trackId) setHighScore(getHighScore(trackId, selectedDifficulty.name, settings.judgePreset,
+                settings.difficultyModel === 'nps' ? settings.targetNps : null));
             else setHighScore(null);
-        }, [trackId, selectedDiff]);
+        }, [trackId, selectedDifficulty, settings.judgePreset, settings.difficultyModel, settings.targetNps]);
+
+        // An imported chart replaces the generated one until it is cleared
+        const startGame = useCallback(() => {
+            if (importedChart) onPlayImportedChart();
+            else onSelectDifficulty(selectedDifficulty, generatedCharts[selectedDifficulty.name]);
+        }, [importedChart, onPlayImportedChart, onSelectDifficulty, selectedDifficulty, generatedCharts]);
+
+        const handleSaveCustom = (draft) => {
+            const list = saveCustomDifficulty(draft);
+            if (!list) {
+                Spicetify.showNotification('Choose a name that is not already a preset difficulty', true);
+                return;
+            }
+            const name = normalizeCustomDifficultyName(draft.name);
+            setCustomDifficulties(list);
+            setSelectedDiff(DIFFICULTIES.length + list.findIndex(d => d.name === name));
+            setCustomDraft(null);
+        };
+
+        const handleDeleteCustom = (name) => {
+            setCustomDifficulties(deleteCustomDifficulty(name));
+            setSelectedDiff(2);
+            setCustomDraft(null);
+        };
 
         useEffect(() => {
             if (activeTab !== 'play') return;
@@ -2558,13 +3207,13 @@ var visualizer = (() => {
                 if (nowPlay && !lastPlay) {
                     Spicetify.Player.pause();
                     Spicetify.Player.seek(0);
-                    setTimeout(() => onSelectDifficulty(DIFFICULTIES[selectedDiff]), 100);
+                    setTimeout(startGame, 100);
                 }
                 lastPlay = nowPlay;
             };
             const iv = setInterval(check, 50);
             return () => clearInterval(iv);
-        }, [selectedDiff, onSelectDifficulty, activeTab]);
+        }, [startGame, activeTab]);
 
         const albumArt = trackInfo?.album?.images?.[0]?.url || '';
 
@@ -2610,30 +3259,112 @@ var visualizer = (() => {
             ),
 
             React.createElement('div', { className: 'nav-tabs' },
-                ['play', 'settings', 'stats'].map(tab =>
+                ['play', 'edit', 'settings', 'stats'].map(tab =>
                     React.createElement('button', {
                         key: tab, className: `nav-tab ${activeTab === tab ? 'active' : ''}`,
-                        onClick: () => setActiveTab(tab)
-                    }, tab === 'play' ? 'PLAY' : tab === 'settings' ? 'SETTINGS' : 'STATS')
+                        onClick: () => { setActiveTab(tab); onTabChange?.(tab); }
+                    }, tab.toUpperCase())
                 )
             ),
 
             activeTab === 'play' && React.createElement('div', { className: 'content-panel' },
-                React.createElement('div', { className: 'difficulty-grid' },
-                    DIFFICULTIES.map((diff, i) => React.createElement('div', {
-                        key: diff.stars,
+                // Without a Spotify analysis (local files, podcasts, offline) the player can analyze the audio file itself
+                !audioAnalysis && React.createElement('div', { className: 'local-analysis-card' },
+                    React.createElement('div', { className: 'imported-chart-label' }, 'NO AUDIO ANALYSIS'),
+                    React.createElement('div', { className: 'local-analysis-text' },
+                        'Spotify has no analysis for this track. Choose the same song as a local audio file to detect its beats here.'
+                    ),
+                    React.createElement('button', {
+                        className: 'chart-action-btn',
+                        disabled: isAnalyzingLocalAudio,
+                        onClick: () => openFilePicker('audio/*', onAnalyzeLocalAudio)
+                    }, isAnalyzingLocalAudio ? 'ANALYZING…' : 'ANALYZE LOCAL FILE')
+                ),
+                // Analyses are often off by a factor of two; the override is kept per track
+                audioAnalysis && React.createElement('div', { className: 'tempo-control' },
+                    React.createElement('span', { className: 'chart-seed' },
+                        `${RhythmAudioAnalyzer.isLocalAnalysis(audioAnalysis) ? 'LOCAL ANALYSIS • ' : ''}${Math.round(correctedAnalysis.track.tempo)} BPM`,
+                        tempoMultiplier !== 1 && ` (${tempoMultiplier === 2 ? '×2' : '×½'}${tempoOverride === undefined ? ' AUTO' : ''})`
+                    ),
+                    [{ value: undefined, label: 'AUTO' }, { value: 0.5, label: '×½' }, { value: 1, label: '×1' }, { value: 2, label: '×2' }].map(option =>
+                        React.createElement('button', {
+                            key: option.label,
+                            className: `tempo-btn ${tempoOverride === option.value ? 'active' : ''}`,
+                            onClick: () => handleTempoOverride(option.value)
+                        }, option.label)
+                    )
+                ),
+                importChoices && React.createElement('div', { className: 'import-choices' },
+                    React.createElement('div', { className: 'imported-chart-label' }, 'CHOOSE A CHART'),
+                    importChoices.map((choice, i) => React.createElement('button', {
+                        key: i,
+                        className: 'import-choice',
+                        style: { color: choice.difficulty.color, borderColor: `${choice.difficulty.color}40` },
+                        onClick: () => onChooseImportedChart(choice)
+                    },
+                        React.createElement('span', { className: 'diff-name' }, choice.difficulty.name),
+                        React.createElement('span', { className: 'import-choice-meta' }, `${choice.keyMode}K • ${choice.notes.length} notes • ${'★'.repeat(choice.difficulty.stars)}`)
+                    )),
+                    React.createElement('button', { className: 'chart-action-btn', onClick: onClearImportedChart }, 'CANCEL')
+                ),
+                importedChart && React.createElement('div', { className: 'imported-chart-card' },
+                    React.createElement('div', { className: 'imported-chart-info' },
+                        React.createElement('div', { className: 'imported-chart-label' }, importedChart.edited ? 'EDITED CHART' : 'IMPORTED CHART'),
+                        React.createElement('div', { className: 'imported-chart-name', style: { color: importedChart.difficulty.color } },
+                            `${importedChart.difficulty.name} ${'★'.repeat(importedChart.difficulty.stars)}`,
+                            React.createElement('span', { className: 'diff-rating' }, importedRating.toFixed(1))
+                        ),
+                        React.createElement('div', { className: 'imported-chart-meta' },
+                            [`${importedChart.keyMode}K`, `${importedChart.notes.length} notes`, importedChart.title].filter(Boolean).join(' • ')
+                        )
+                    ),
+                    // Per-chart offset corrects timing made against a different audio source
+                    React.createElement('div', { className: 'imported-chart-offset' },
+                        React.createElement('div', { className: 'imported-chart-label' }, 'CHART OFFSET'),
+                        React.createElement('div', { className: 'speed-control' },
+                            React.createElement('button', { className: 'speed-btn', onClick: () => onImportedChartOffsetChange(-5) }, '−'),
+                            React.createElement('div', { style: { fontSize: '14px', fontWeight: '700', minWidth: '60px', textAlign: 'center' } },
+                                `${importedChart.offset || 0}ms`
+                            ),
+                            React.createElement('button', { className: 'speed-btn', onClick: () => onImportedChartOffsetChange(5) }, '+')
+                        )
+                    ),
+                    React.createElement('button', { className: 'chart-action-btn', onClick: onClearImportedChart }, 'CLEAR')
+                ),
+                customDraft && !importedChart && !importChoices && React.createElement(CustomDifficultyEditor, {
+                    initialDraft: customDraft,
+                    onSave: handleSaveCustom,
+                    onDelete: handleDeleteCustom,
+                    onCancel: () => setCustomDraft(null)
+                }),
+                !customDraft && !importedChart && !importChoices && React.createElement('div', { className: 'difficulty-grid' },
+                    difficulties.map((diff, i) => React.createElement('div', {
+                        key: diff.name,
                         className: `diff-card ${i === selectedDiff ? 'selected' : ''}`,
                         style: { color: i === selectedDiff ? '#000' : diff.color, borderColor: i === selectedDiff ? '#fff' : `${diff.color}40` },
                         onClick: () => setSelectedDiff(i)
                     },
-                        React.createElement('span', { className: 'diff-name' }, diff.name),
-                        React.createElement('span', { className: 'diff-stars' }, '★'.repeat(diff.stars))
-                    ))
+                        React.createElement('span', { className: 'diff-name' },
+                            diff.name,
+                            ratings[diff.name] !== undefined && React.createElement('span', { className: 'diff-rating' }, ratings[diff.name].toFixed(1))
+                        ),
+                        React.createElement('span', { className: 'diff-stars' }, diff.custom ? `CUSTOM ${'★'.repeat(diff.stars)}` : '★'.repeat(diff.stars))
+                    )),
+                    // Starts from the selected difficulty, so a selected custom one is edited in place
+                    React.createElement('div', {
+                        className: 'diff-card custom-diff-card',
+                        style: { color: CUSTOM_DIFFICULTY_COLOR, borderColor: `${CUSTOM_DIFFICULTY_COLOR}40` },
+                        onClick: () => setCustomDraft(createCustomDifficultyDraft(selectedDifficulty))
+                    },
+                        React.createElement('span', { className: 'diff-name' }, selectedDifficulty.custom ? 'EDIT CUSTOM' : 'CUSTOM'),
+                        React.createElement('span', { className: 'diff-stars' }, '+')
+                    )
                 ),
-                highScore && React.createElement('div', { className: 'high-score-bar' },
+                !importedChart && highScore && React.createElement('div', { className: 'high-score-bar' },
                     [{ l: 'BEST RANK', v: highScore.rank, c: getRankFromAccuracy(parseFloat(highScore.accuracy)).color },
-                    { l: 'HIGH SCORE', v: highScore.score.toLocaleString() },
-                    { l: 'ACCURACY', v: `${highScore.accuracy}%` }
+                    { l: isLegacyScore(highScore) ? 'HIGH SCORE (LEGACY)' : 'HIGH SCORE', v: highScore.score.toLocaleString() },
+                    { l: highScore.accuracyModel && highScore.accuracyModel !== DEFAULT_ACCURACY_MODEL ? ACCURACY_MODELS[getAccuracyModelKey(highScore.accuracyModel)].label : 'ACCURACY', v: `${highScore.accuracy}%` },
+                    { l: 'JUDGE', v: highScore.judge || DEFAULT_JUDGE_PRESET }
                     ].map((h, i) => React.createElement('div', { key: i, className: 'hs-item' },
                         React.createElement('div', { className: 'hs-label' }, h.l),
                         React.createElement('div', { className: 'hs-value', style: h.c ? { color: h.c } : {} }, h.v)
@@ -2642,7 +3373,19 @@ var visualizer = (() => {
                         React.createElement('div', { style: { color: '#00D4AA', fontWeight: '600', letterSpacing: '2px' } }, 'FC')
                     )
                 ),
-                React.createElement('button', { className: 'start-button', onClick: () => onSelectDifficulty(DIFFICULTIES[selectedDiff]) }, 'START GAME (SPACE)'),
+                !importedChart && React.createElement('div', { className: 'chart-seed' },
+                    settings.difficultyModel === 'nps'
+                        ? `SEED ${RhythmChartEngine.formatSeed(chartSeed)} • TARGET ${settings.targetNps.avg.toFixed(1)} / ${settings.targetNps.peak.toFixed(1)} NPS`
+                        : `SEED ${RhythmChartEngine.formatSeed(chartSeed)}`
+                ),
+                !importedChart && generatedCharts[selectedDifficulty.name] && React.createElement(ChartCheckPanel, { fixes: generatedCharts[selectedDifficulty.name].fixes }),
+                React.createElement('button', { className: 'start-button', onClick: startGame }, 'START GAME (SPACE)'),
+                React.createElement('div', { className: 'chart-actions' },
+                    React.createElement('button', {
+                        className: 'chart-action-btn',
+                        onClick: () => openFilePicker(`${RhythmChartFormats.CHART_FILE_EXTENSION},.json,.osu,.sm,.ssc`, onImportChart)
+                    }, 'IMPORT CHART')
+                ),
                 
                 // Fullscreen button
                 React.createElement('button', { 
@@ -2664,22 +3407,114 @@ var visualizer = (() => {
                 )
             ),
 
-            activeTab === 'settings' && React.createElement(SettingsPanel, { settings, onSettingChange }),
+            activeTab === 'edit' && React.createElement(ChartEditor, {
+                chart: importedChart,
+                analysis: correctedAnalysis,
+                difficulty: selectedDifficulty,
+                onChartChange: onEditChart,
+                onCreateChart: () => onCreateEditorChart(selectedDifficulty),
+                onTestFromHere
+            }),
+            activeTab === 'settings' && React.createElement(SettingsPanel, { settings, onSettingChange, analysis: correctedAnalysis }),
             activeTab === 'stats' && React.createElement(StatsPanel)
         );
     }
 
-    // ====== RESULT SCREEN COMPONENT (Refactored) ======
-    function ResultScreen({ result, difficulty, onRestart, isNewHighScore }) {
-        const getRank = (accuracy) => {
-            if (accuracy >= 98) return { rank: 'S+', color: '#00D4AA' };
-            if (accuracy >= 95) return { rank: 'S', color: '#00D4AA' };
-            if (accuracy >= 90) return { rank: 'A', color: '#00B4FF' };
-            if (accuracy >= 80) return { rank: 'B', color: '#00B4FF' };
-            if (accuracy >= 70) return { rank: 'C', color: '#FFB800' };
-            return { rank: 'D', color: '#FF3366' };
+    // ====== HIT ERROR ANALYSIS ======
+    const HIT_ERROR_BINS = 41;
+    const OFFSET_SUGGESTION_MIN_HITS = 20;
+    const OFFSET_SUGGESTION_MIN_MEAN = 8; // ms; smaller skews are ordinary jitter
+
+    // Summarise signed hit offsets: histogram over the GOOD window, mean, unstable rate
+    // (standard deviation × 10) and early/late counts per lane
+    function getHitErrorStats(hitOffsets, timing, keyMode, currentOffset = 0) {
+        if (!hitOffsets?.length) return null;
+        const count = hitOffsets.length;
+        const mean = hitOffsets.reduce((sum, h) => sum + h.offset, 0) / count;
+        const stdDev = Math.sqrt(hitOffsets.reduce((sum, h) => sum + (h.offset - mean) ** 2, 0) / count);
+
+        const range = timing.GOOD;
+        const binWidth = range * 2 / HIT_ERROR_BINS;
+        const bins = new Array(HIT_ERROR_BINS).fill(0);
+        const lanes = Array.from({ length: keyMode || 4 }, () => ({ early: 0, late: 0 }));
+        let early = 0, late = 0;
+        hitOffsets.forEach(({ lane, offset }) => {
+            bins[Math.min(HIT_ERROR_BINS - 1, Math.max(0, Math.floor((offset + range) / binWidth)))]++;
+            const side = offset < 0 ? 'early' : (offset > 0 ? 'late' : null);
+            if (!side) return;
+            if (side === 'early') early++; else late++;
+            if (lanes[lane]) lanes[lane][side]++;
+        });
+
+        // Only suggest a new offset when the skew is well outside the mean's own standard error
+        const isSkewed = count >= OFFSET_SUGGESTION_MIN_HITS && Math.abs(mean) >= OFFSET_SUGGESTION_MIN_MEAN &&
+            Math.abs(mean) > 3 * stdDev / Math.sqrt(count);
+
+        return {
+            count, mean, unstableRate: stdDev * 10, range, binWidth, bins, lanes, early, late,
+            suggestedOffset: isSkewed ? Math.round(currentOffset - mean) : null
+        };
+    }
+
+    function HitErrorPanel({ result, settings, onSettingChange }) {
+        const timing = getJudgeTiming(result.judge);
+        const stats = useMemo(() => getHitErrorStats(result.hitOffsets, timing, result.keyMode, result.offset),
+            [result, timing]);
+        if (!stats) return null;
+
+        const maxBin = Math.max(...stats.bins);
+        const binColor = (i) => {
+            const center = Math.abs(-stats.range + (i + 0.5) * stats.binWidth);
+            if (center <= timing.PERFECT) return 'var(--primary)';
+            if (center <= timing.GREAT) return 'var(--accent)';
+            return '#666';
         };
+        const suggestion = stats.suggestedOffset;
+        const isApplied = suggestion !== null && (settings?.offset || 0) === suggestion;
+
+        return React.createElement('div', { className: 'glass-panel hit-error-panel' },
+            React.createElement('div', { className: 'hit-error-title' }, 'HIT ERROR'),
+            React.createElement('div', { className: 'hit-error-histogram' },
+                stats.bins.map((n, i) => React.createElement('div', {
+                    key: i, className: 'hit-error-bar',
+                    title: `${Math.round(-stats.range + i * stats.binWidth)} to ${Math.round(-stats.range + (i + 1) * stats.binWidth)}ms: ${n}`,
+                    style: { height: `${maxBin ? n / maxBin * 100 : 0}%`, background: binColor(i) }
+                }))
+            ),
+            React.createElement('div', { className: 'hit-error-axis' },
+                React.createElement('span', null, `EARLY ${stats.early}`),
+                React.createElement('span', null, '0'),
+                React.createElement('span', null, `LATE ${stats.late}`)
+            ),
+            React.createElement('div', { className: 'hit-error-stats' },
+                [{ l: 'MEAN', v: `${stats.mean > 0 ? '+' : ''}${stats.mean.toFixed(1)}ms` },
+                { l: 'UR', v: stats.unstableRate.toFixed(1) },
+                { l: 'HITS', v: stats.count }
+                ].map(s => React.createElement('div', { key: s.l, className: 'hit-error-stat' },
+                    React.createElement('div', { className: 'hit-error-stat-value' }, s.v),
+                    React.createElement('div', { className: 'hit-error-stat-label' }, s.l)
+                ))
+            ),
+            React.createElement('div', { className: 'hit-error-lanes' },
+                stats.lanes.map((lane, i) => React.createElement('div', { key: i, className: 'hit-error-lane' },
+                    React.createElement('div', { className: 'hit-error-stat-label' }, `LANE ${i + 1}`),
+                    React.createElement('div', null, `${lane.early} / ${lane.late}`)
+                ))
+            ),
+            suggestion !== null && React.createElement('div', { className: 'hit-error-suggestion' },
+                React.createElement('span', null,
+                    `You hit ${Math.abs(Math.round(stats.mean))}ms ${stats.mean > 0 ? 'late' : 'early'} on average. Try offset ${suggestion}ms.`),
+                onSettingChange && React.createElement('button', {
+                    className: 'chart-action-btn',
+                    disabled: isApplied,
+                    onClick: () => onSettingChange('offset', suggestion)
+                }, isApplied ? 'APPLIED' : 'APPLY')
+            )
+        );
+    }
 
+    // ====== RESULT SCREEN COMPONENT (Refactored) ======
+    function ResultScreen({ result, difficulty, onRestart, onExportChart, onExportOsu, isNewHighScore, settings, onSettingChange }) {
         // Detect Spotify play state change for restart
         useEffect(() => {
             let lastPlayState = Spicetify.Player.isPlaying();
@@ -2705,7 +3540,7 @@ var visualizer = (() => {
             return () => clearInterval(interval);
         }, [onRestart]);
 
-        const rankInfo = result.isDead ? { rank: 'FAIL', color: '#666' } : getRank(parseFloat(result.accuracy));
+        const rankInfo = result.isDead ? { rank: 'FAIL', color: '#666' } : getRankFromAccuracy(parseFloat(result.accuracy));
 
         return React.createElement('div', { className: 'result-container' },
             result.isDead && React.createElement('div', {
@@ -2740,10 +3575,22 @@ var visualizer = (() => {
                     style: { fontSize: '100px', lineHeight: 1, marginBottom: '10px', color: rankInfo.color, background: 'none', WebkitTextFillColor: rankInfo.color, textShadow: `0 0 30px ${rankInfo.color}60` }
                 }, rankInfo.rank),
 
-                React.createElement('div', { className: 'score-display', style: { marginBottom: '30px' } },
+                React.createElement('div', { className: 'score-display', style: { marginBottom: result.scoreBreakdown ? '6px' : '30px' } },
                     result.score.toLocaleString()
                 ),
 
+                result.scoreBreakdown && React.createElement('div', { className: 'chart-seed', style: { marginBottom: '30px' } },
+                    `ACCURACY ${result.scoreBreakdown.accuracy.toLocaleString()} • COMBO ${result.scoreBreakdown.combo.toLocaleString()} / ${MAX_SCORE.toLocaleString()}`
+                ),
+
+                (result.seed != null || result.rating !== undefined) && React.createElement('div', { className: 'chart-seed', style: { marginTop: '-20px', marginBottom: '20px' } },
+                    [
+                        result.rating !== undefined && `RATING ${result.rating.toFixed(1)}`,
+                        result.judge && `JUDGE ${result.judge}`,
+                        result.seed != null && `SEED ${RhythmChartEngine.formatSeed(result.seed)}`
+                    ].filter(Boolean).join(' • ')
+                ),
+
                 React.createElement('div', { className: 'glass-panel', style: { padding: '20px', marginBottom: '30px', background: 'rgba(0,0,0,0.2)' } },
                     ['PERFECT', 'GREAT', 'GOOD', 'MISS'].map(j =>
                         React.createElement('div', { key: j, className: 'judgement-row' },
@@ -2753,6 +3600,8 @@ var visualizer = (() => {
                     )
                 ),
 
+                React.createElement(HitErrorPanel, { result, settings, onSettingChange }),
+
                 result.isFullCombo && React.createElement('div', { className: 'full-combo-text' }, 'FULL COMBO!'),
 
                 React.createElement('div', { style: { display: 'flex', justifyContent: 'space-between', width: '100%', marginBottom: '30px', padding: '0 20px' } },
@@ -2761,7 +3610,8 @@ var visualizer = (() => {
                         React.createElement('div', { style: { fontSize: '20px', fontWeight: '700' } }, result.maxCombo)
                     ),
                     React.createElement('div', { style: { textAlign: 'center' } },
-                        React.createElement('div', { style: { fontSize: '11px', color: '#aaa', letterSpacing: '1px' } }, 'ACCURACY'),
+                        React.createElement('div', { style: { fontSize: '11px', color: '#aaa', letterSpacing: '1px' } },
+                            result.accuracyModel && result.accuracyModel !== DEFAULT_ACCURACY_MODEL ? ACCURACY_MODELS[getAccuracyModelKey(result.accuracyModel)].label : 'ACCURACY'),
                         React.createElement('div', { style: { fontSize: '20px', fontWeight: '700' } }, `${result.accuracy}%`)
                     )
                 ),
@@ -2770,7 +3620,12 @@ var visualizer = (() => {
                     className: 'start-button',
                     onClick: onRestart,
                     style: { padding: '16px 40px', fontSize: '16px' }
-                }, 'PLAY AGAIN (SPACE)')
+                }, 'PLAY AGAIN (SPACE)'),
+
+                React.createElement('div', { className: 'chart-actions' },
+                    React.createElement('button', { className: 'chart-action-btn', onClick: onExportChart }, 'EXPORT CHART'),
+                    React.createElement('button', { className: 'chart-action-btn', onClick: onExportOsu }, 'EXPORT .OSU')
+                )
             )
         );
     }
@@ -2780,13 +3635,30 @@ var visualizer = (() => {
         const [gamePhase, setGamePhase] = useState('title'); // 'title', 'playing', 'result'
         const [audioAnalysis, setAudioAnalysis] = useState(null);
         const [selectedDifficulty, setSelectedDifficulty] = useState(null);
+        const [chart, setChart] = useState(null);
+        const [importedChart, setImportedChart] = useState(null);
+        const [importChoices, setImportChoices] = useState(null); // Charts from a multi-chart file (.sm/.ssc)
+        const [testStartTime, setTestStartTime] = useState(null); // Editor "test from here" position, null for normal plays
+        const [titleTab, setTitleTab] = useState('play');
+        const [isAnalyzingLocalAudio, setIsAnalyzingLocalAudio] = useState(false);
         const [gameResult, setGameResult] = useState(null);
         const [trackInfo, setTrackInfo] = useState(null);
+        const trackInfoRef = useRef(null); // Latest track for async work that outlives a render
+        trackInfoRef.current = trackInfo;
         const [loading, setLoading] = useState(true);
         const [settings, setSettings] = useState(() => loadSettings());
         const [isNewHighScore, setIsNewHighScore] = useState(false);
         const [isFullscreen, setIsFullscreen] = useState(false);
 
+        // The tempo the title screen settled on (detected or overridden) for everything past it:
+        // the in-game BPM and exported timing points. Re-read on each phase change, since the
+        // override is set from the title screen.
+        const correctedAnalysis = useMemo(() => {
+            if (!audioAnalysis) return null;
+            const multiplier = RhythmChartEngine.getTempoMultiplier(audioAnalysis, getTempoOverride(getTrackId(trackInfo)));
+            return RhythmChartEngine.applyTempoCorrection(audioAnalysis, multiplier);
+        }, [audioAnalysis, trackInfo, gamePhase]);
+
         // Calculate optimal scale based on screen size
         const calculateOptimalScale = useCallback(() => {
             const screenWidth = window.innerWidth;
@@ -2897,14 +3769,8 @@ var visualizer = (() => {
                     setTrackInfo(item);
 
                     try {
-                        const uri = Spicetify.URI.fromString(item.uri);
-                        if (uri.type === Spicetify.URI.Type.TRACK) {
-                            const url = `https://spclient.wg.spotify.com/audio-attributes/v1/audio-analysis/${uri.id}?format=json`;
-                            const analysis = await Spicetify.CosmosAsync.get(url);
-                            if (analysis && analysis.beats) {
-                                setAudioAnalysis(analysis);
-                            }
-                        }
+                        const analysis = await loadAudioAnalysis(item);
+                        if (analysis) setAudioAnalysis(analysis);
                     } catch (e) {
                         console.error('[RhythmGame]', e);
                     }
@@ -2920,16 +3786,11 @@ var visualizer = (() => {
                     Spicetify.Player.pause();
                     Spicetify.Player.seek(0);
                     setTrackInfo(e.data.item);
+                    setAudioAnalysis(null);
 
                     try {
-                        const uri = Spicetify.URI.fromString(e.data.item.uri);
-                        if (uri.type === Spicetify.URI.Type.TRACK) {
-                            const url = `https://spclient.wg.spotify.com/audio-attributes/v1/audio-analysis/${uri.id}?format=json`;
-                            const analysis = await Spicetify.CosmosAsync.get(url);
-                            if (analysis && analysis.beats) {
-                                setAudioAnalysis(analysis);
-                            }
-                        }
+                        const analysis = await loadAudioAnalysis(e.data.item);
+                        if (analysis) setAudioAnalysis(analysis);
                     } catch (e) {
                         console.error('[RhythmGame]', e);
                     }
@@ -2942,28 +3803,134 @@ var visualizer = (() => {
             };
         }, [gamePhase]);
 
-        const handleSelectDifficulty = (difficulty) => {
+        // `generatedChart` is the title screen's copy when it already built this difficulty
+        const handleSelectDifficulty = (difficulty, generatedChart) => {
             if (!audioAnalysis) {
                 Spicetify.showNotification('오디오 분석을 불러올 수 없습니다.', true);
                 return;
             }
             Spicetify.Player.seek(0);
+            setTestStartTime(null);
+            setChart(generatedChart || RhythmChartEngine.generateChart(audioAnalysis, difficulty, getChartOptions(settings, getTrackId(trackInfo))));
             setSelectedDifficulty(difficulty);
             setGamePhase('playing');
         };
 
+        // Fallback when Spotify has no analysis: detect beats from a local copy of the audio
+        const handleAnalyzeLocalAudio = async (file) => {
+            setIsAnalyzingLocalAudio(true);
+            const cacheKey = getAnalysisCacheKey(trackInfo);
+            try {
+                const analysis = await RhythmAudioAnalyzer.analyzeAudioFile(file);
+                // The song changed while decoding: this analysis belongs to the old one
+                if (getAnalysisCacheKey(trackInfoRef.current) !== cacheKey) {
+                    Spicetify.showNotification('Track changed during analysis, result discarded', true);
+                    return;
+                }
+                setAudioAnalysis(analysis);
+                putCachedAnalysis(cacheKey, analysis);
+                Spicetify.showNotification(`Analyzed ${file.name}: ${Math.round(analysis.track.tempo)} BPM, ${analysis.beats.length} beats`);
+            } catch (e) {
+                console.error('[RhythmGame] Local audio analysis failed:', e);
+                Spicetify.showNotification(`Audio analysis failed: ${e.message}`, true);
+            } finally {
+                setIsAnalyzingLocalAudio(false);
+            }
+        };
+
+        // Play an imported chart against the current Spotify track instead of generating one
+        const handlePlayImportedChart = () => {
+            if (!importedChart) return;
+            const currentTrackId = getTrackId(trackInfo);
+            if (importedChart.trackId && currentTrackId && importedChart.trackId !== currentTrackId) {
+                Spicetify.showNotification('This chart was made for a different track');
+            }
+            Spicetify.Player.seek(0);
+            setTestStartTime(null);
+            setChart(importedChart);
+            setSelectedDifficulty(importedChart.difficulty);
+            setGamePhase('playing');
+        };
+
+        // Start editing a freshly generated chart when nothing has been imported
+        const handleCreateEditorChart = (difficulty) => {
+            if (!audioAnalysis) {
+                Spicetify.showNotification('오디오 분석을 불러올 수 없습니다.', true);
+                return;
+            }
+            setImportChoices(null);
+            setImportedChart(RhythmChartEngine.generateChart(audioAnalysis, difficulty, getChartOptions(settings, getTrackId(trackInfo))));
+        };
+
+        // Test-play the chart being edited from the editor cursor; results are not recorded
+        const handleTestFromHere = (startTime) => {
+            if (!importedChart) return;
+            setTestStartTime(startTime);
+            setChart(importedChart);
+            setSelectedDifficulty(importedChart.difficulty);
+            setGamePhase('playing');
+        };
+
+        const handleImportChart = async (file) => {
+            try {
+                const charts = RhythmChartFormats.parseChartFile(file.name, await file.text());
+                if (charts.length > 1) {
+                    // Let the player pick which steps block to play
+                    setImportedChart(null);
+                    setImportChoices(charts);
+                    return;
+                }
+                setImportChoices(null);
+                setImportedChart(charts[0]);
+                Spicetify.showNotification(`Chart imported: ${charts[0].difficulty.name} (${charts[0].notes.length} notes)`);
+            } catch (e) {
+                console.error('[RhythmGame] Chart import failed:', e);
+                Spicetify.showNotification(`Chart import failed: ${e.message}`, true);
+            }
+        };
+
+        const handleExportChart = () => {
+            if (!chart) return;
+            const title = trackInfo?.name || chart.title;
+            const content = RhythmChartFormats.serializeChart(chart, {
+                title: title,
+                artist: trackInfo?.artists?.map(a => a.name).join(', ')
+            });
+            downloadFile(RhythmChartFormats.getChartFileName(title, chart.difficulty?.name), content, 'application/json');
+        };
+
+        // Export the played chart as an osu!mania beatmap for polishing in external editors
+        const handleExportOsu = () => {
+            if (!chart) return;
+            const title = trackInfo?.name || chart.title;
+            const content = RhythmChartFormats.serializeOsuMania(chart, {
+                title: title,
+                artist: trackInfo?.artists?.map(a => a.name).join(', '),
+                analysis: correctedAnalysis
+            });
+            downloadFile(RhythmChartFormats.getChartFileName(title, chart.difficulty?.name, '.osu'), content, 'text/plain');
+        };
+
         const handleGameEnd = (result) => {
+            if (testStartTime !== null) {
+                // Editor test plays go straight back to the editor
+                handleRestart();
+                return;
+            }
+
             // Calculate rank before saving
             const accuracy = parseFloat(result.accuracy);
             const rankInfo = result.isDead ? { rank: 'FAIL', color: '#666' } : getRankFromAccuracy(accuracy);
-            const resultWithRank = { ...result, rank: rankInfo.rank };
+            const resultWithRank = { ...result, rank: rankInfo.rank, rating: RhythmChartEngine.rateChart(chart).rating, targetNps: chart.targetNps };
 
             // Save game stats
             saveGameStats(resultWithRank, trackInfo, selectedDifficulty);
 
-            // Try to save high score
+            // Try to save high score. Imported and edited charts keep their source's difficulty name
+            // but not its notes, so they never go into a generated chart's slot
             let isNew = false;
-            if (!result.isDead && trackInfo?.uri) {
+            const isImportedPlay = chart === importedChart;
+            if (!result.isDead && !isImportedPlay && trackInfo?.uri) {
                 try {
                     const uri = Spicetify.URI.fromString(trackInfo.uri);
                     isNew = saveHighScore(uri.id, selectedDifficulty.name, resultWithRank);
@@ -2983,6 +3950,7 @@ var visualizer = (() => {
             Spicetify.Player.seek(0);
             setGamePhase('title');
             setSelectedDifficulty(null);
+            setChart(null);
             setGameResult(null);
             setIsNewHighScore(false);
         };
@@ -3009,7 +3977,9 @@ var visualizer = (() => {
                 const toastMessages = {
                     speed: `Speed: ${value}`,
                     offset: `Offset: ${value}ms`,
-                    keyMode: `Key Mode: ${value}K`
+                    keyMode: `Key Mode: ${value}K`,
+                    judgePreset: `Judge: ${value}`,
+                    accuracyModel: `Accuracy: ${ACCURACY_MODELS[value]?.label || value}`
                 };
                 if (toastMessages[key] && Spicetify.showNotification) {
                     Spicetify.showNotification(toastMessages[key]);
@@ -3038,7 +4008,22 @@ var visualizer = (() => {
         if (gamePhase === 'title') {
             return React.createElement(TitleScreen, {
                 trackInfo: trackInfo,
+                audioAnalysis: audioAnalysis,
+                isAnalyzingLocalAudio: isAnalyzingLocalAudio,
+                onAnalyzeLocalAudio: handleAnalyzeLocalAudio,
+                initialTab: titleTab,
+                onTabChange: setTitleTab,
                 onSelectDifficulty: handleSelectDifficulty,
+                importedChart: importedChart,
+                onImportChart: handleImportChart,
+                onPlayImportedChart: handlePlayImportedChart,
+                onClearImportedChart: () => { setImportedChart(null); setImportChoices(null); },
+                importChoices: importChoices,
+                onChooseImportedChart: (imported) => { setImportedChart(imported); setImportChoices(null); },
+                onImportedChartOffsetChange: (delta) => setImportedChart(prev => prev && { ...prev, offset: (prev.offset || 0) + delta }),
+                onEditChart: setImportedChart,
+                onCreateEditorChart: handleCreateEditorChart,
+                onTestFromHere: handleTestFromHere,
                 settings: settings,
                 onSettingChange: handleSettingChange,
                 isFullscreen: isFullscreen,
@@ -3048,13 +4033,16 @@ var visualizer = (() => {
 
         if (gamePhase === 'playing') {
             return React.createElement(GameScreen, {
-                audioAnalysis: audioAnalysis,
+                chart: chart,
+                audioAnalysis: correctedAnalysis,
                 difficulty: selectedDifficulty,
                 trackInfo: trackInfo,
                 onGameEnd: handleGameEnd,
                 onRestart: handleQuickRestart,
                 onQuit: handleRestart,
-                settings: settings
+                onExportChart: handleExportChart,
+                settings: { ...settings, keyMode: chart.keyMode },
+                startTime: testStartTime || 0
             });
         }
 
@@ -3063,7 +4051,11 @@ var visualizer = (() => {
                 result: gameResult,
                 difficulty: selectedDifficulty,
                 onRestart: handleRestart,
-                isNewHighScore: isNewHighScore
+                onExportChart: handleExportChart,
+                onExportOsu: handleExportOsu,
+                isNewHighScore: isNewHighScore,
+                settings: settings,
+                onSettingChange: handleSettingChange
             });
         }
 